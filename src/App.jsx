@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { motion, AnimatePresence, Reorder } from 'framer-motion';
 import {
   BrowserRouter as Router,
   Routes,
@@ -13,7 +13,9 @@ import {
   MessageSquare, BookOpen, Video, Home, User, Settings,
   Send, Plus, Trash2, LogOut, Search, Ghost, Hash,
   ChevronRight, Play, FileText, Link as LinkIcon, Lock,
-  Smartphone, UserPlus, Check, CheckCheck, Clock, ArrowLeft
+  Smartphone, UserPlus, Check, CheckCheck, Clock, ArrowLeft,
+  CalendarDays, ArrowDown, Pencil, History, Reply, MessagesSquare, Paperclip, Download, Flag, ShieldAlert, Eye,
+  Bell, BellOff, Pin, PinOff, Users, ChevronDown, X, GripVertical, Tag, Layers, Upload
 } from 'lucide-react';
 import { supabase } from './supabaseClient';
 import { clsx } from 'clsx';
@@ -30,6 +32,311 @@ const getYoutubeId = (url) => {
   return (match && match[2].length === 11) ? match[2] : null;
 };
 
+const PHONE_COUNTRY_CODE = import.meta.env.VITE_PHONE_COUNTRY_CODE || '+91';
+
+// Supabase Auth expects E.164 numbers; students only type the local 10 digits.
+const toE164 = (digits) => `${PHONE_COUNTRY_CODE}${digits}`;
+
+const PERMISSION_DENIED = 'Permission denied: only admins can make this change.';
+
+// RLS rejects inserts with 42501 but silently skips rows on update/delete, so admin
+// writes are chained with .select() and an empty result counts as a denial too.
+const writeError = ({ data, error }) => {
+  if (error) return error.code === '42501' || /row-level security/i.test(error.message) ? PERMISSION_DENIED : error.message;
+  if (Array.isArray(data) && data.length === 0) return PERMISSION_DENIED;
+  return null;
+};
+
+// RLS only returns rooms the caller may see; the roster tells us how they belong.
+const fetchRoomsWithMembers = async () => {
+  const { data, error } = await supabase.from('rooms').select('*, room_members(profile_id, role)').order('created_at');
+  if (error) console.error("Room fetch error:", error);
+  return data;
+};
+
+const myRoomRole = (room, userId) => room?.room_members?.find(m => m.profile_id === userId)?.role;
+
+// Public rooms are open to everyone; DMs and private groups need an accepted membership.
+const isRoomJoined = (room, userId) => !!room && (!room.is_private || ['owner', 'member'].includes(myRoomRole(room, userId)));
+
+// Recently opened subjects, materials, rooms and students ("kind:id", newest first),
+// kept per account on this device so the command palette can rank them first.
+const RECENT_LIMIT = 20;
+const readRecent = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`cc_recent:${userId}`)) || [];
+  } catch {
+    return [];
+  }
+};
+const rememberRecent = (userId, kind, id) => {
+  const key = `${kind}:${id}`;
+  const recent = [key, ...readRecent(userId).filter(k => k !== key)].slice(0, RECENT_LIMIT);
+  localStorage.setItem(`cc_recent:${userId}`, JSON.stringify(recent));
+};
+
+// Whole-text prefix beats word prefix beats a match anywhere; 0 is no match
+const matchScore = (text, query) => {
+  const value = (text || '').toLowerCase();
+  if (value.startsWith(query)) return 3;
+  if (value.includes(` ${query}`)) return 2;
+  return value.includes(query) ? 1 : 0;
+};
+const PALETTE_RESULT_LIMIT = 10;
+
+const MESSAGE_PAGE_SIZE = 50;
+// Must match the interval enforced by edit_message() in supabase_schema.sql
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+// messages has two foreign keys to profiles (sender_id, deleted_by); embed the sender's.
+// quoted is the message this one replies to, for the preview above the bubble.
+// author is only returned for the caller's own anonymous messages (see authorId).
+// material is a subject material linked from a discussion room.
+const MESSAGE_SELECT = '*, profiles!sender_id(full_name, student_id), author:message_authors(sender_id), quoted:reply_to_id(id, content, attachment, sender_id, is_anonymous, pseudonym, deleted_at, profiles!sender_id(full_name)), material:materials(id, subject_id, type, title, content)';
+// Search results come from every room an admin can read, so they also carry their room
+const SEARCH_SELECT = `${MESSAGE_SELECT}, rooms(name, type)`;
+// Must match the limit in search_messages() in supabase_schema.sql
+const SEARCH_RESULT_LIMIT = 50;
+const THREAD_REPLY_LIMIT = 200;
+
+// Keyset pagination on (created_at, id) so messages sharing a timestamp are never skipped.
+// Always resolves to messages in ascending order. Side-thread replies stay out of the timeline.
+const fetchMessagePage = async (roomId, { before, after, from } = {}) => {
+  let query = supabase.from('messages').select(MESSAGE_SELECT).eq('room_id', roomId).is('thread_id', null);
+  const newestFirst = !after && !from;
+
+  if (before) {
+    query = query.or(`created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`);
+  } else if (after) {
+    query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+  } else if (from) {
+    query = query.gte('created_at', from);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: !newestFirst })
+    .order('id', { ascending: !newestFirst })
+    .limit(MESSAGE_PAGE_SIZE);
+  if (error) {
+    console.error("Message fetch error:", error);
+    return [];
+  }
+  return newestFirst ? data.reverse() : data;
+};
+
+// Typing is broadcast over the room channel rather than stored; an indicator that
+// stops being refreshed (closed tab, dropped connection) simply times out.
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_TTL_MS = 5000;
+
+// In anonymous rooms the broadcast name is the sender's pseudonym
+const describeTypers = (typers) => {
+  const names = Object.values(typers).map(t => t.name);
+  if (names.length === 0) return null;
+  if (names.some(n => !n)) return names.length === 1 ? 'someone is typing…' : 'several people are typing…';
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return 'several people are typing…';
+};
+
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 2 * 60 * 1000;
+
+const formatLastSeen = (timestamp) => {
+  if (!timestamp) return 'Offline';
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'Last seen just now';
+  if (minutes < 60) return `Last seen ${minutes}m ago`;
+  if (minutes < 24 * 60) return `Last seen ${Math.floor(minutes / 60)}h ago`;
+  return `Last seen ${new Date(timestamp).toLocaleDateString()}`;
+};
+
+const PRESENCE_RANK = { online: 0, away: 1 };
+
+const fetchThread = async (rootId) => {
+  const { data, error } = await supabase
+    .from('messages')
+    .select(MESSAGE_SELECT)
+    .eq('thread_id', rootId)
+    .order('created_at', { ascending: true })
+    .limit(THREAD_REPLY_LIMIT);
+  if (error) console.error("Thread fetch error:", error);
+  return data || [];
+};
+
+// The database never returns a sender for anonymous messages, admins included, only
+// the per-room pseudonym; a real name is shown after an audited reveal (request_reveal()).
+const senderLabel = (message) => message.is_anonymous
+  ? message.pseudonym || "Ghost User"
+  : message.profiles?.full_name || "Unknown";
+
+// Must match the word lists in pseudonym_for() in supabase_schema.sql
+const PSEUDONYM_COLORS = {
+  Violet: 'bg-violet-500/30', Amber: 'bg-amber-500/30', Teal: 'bg-teal-500/30', Crimson: 'bg-red-600/30',
+  Indigo: 'bg-indigo-500/30', Jade: 'bg-emerald-500/30', Coral: 'bg-orange-400/30', Silver: 'bg-slate-400/30',
+  Golden: 'bg-yellow-500/30', Scarlet: 'bg-rose-600/30', Azure: 'bg-sky-500/30', Olive: 'bg-lime-600/30',
+  Rose: 'bg-pink-500/30', Cobalt: 'bg-blue-600/30', Plum: 'bg-purple-500/30', Mint: 'bg-green-400/30'
+};
+const PSEUDONYM_ANIMALS = {
+  Fox: '🦊', Otter: '🦦', Panda: '🐼', Koala: '🐨', Tiger: '🐯', Wolf: '🐺', Owl: '🦉', Dolphin: '🐬',
+  Eagle: '🦅', Badger: '🦡', Hedgehog: '🦔', Turtle: '🐢', Penguin: '🐧', Rabbit: '🐰', Lion: '🦁', Bear: '🐻',
+  Deer: '🦌', Frog: '🐸', Whale: '🐳', Octopus: '🐙', Parrot: '🦜', Swan: '🦢', Raccoon: '🦝', Llama: '🦙'
+};
+
+// Anonymous rows have no sender_id. Their author can still recognise them through the
+// author embed, which RLS only fills in for the caller's own messages.
+const authorId = (message) => message.sender_id ?? message.author?.sender_id ?? null;
+
+const ATTACHMENT_BUCKET = 'chat-attachments';
+// Must match file_size_limit / allowed_mime_types on the bucket in supabase_schema.sql
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// supabase-js exposes no upload progress, so this posts to the Storage REST endpoint
+// directly. Resolves to { error } like the client does instead of throwing.
+const uploadWithProgress = async (bucket, path, file, onProgress) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) return { error: { message: 'Your session has expired. Sign in again to upload.' } };
+  // Encoded per segment so names with '#', '?' or '%' land at the path that gets saved
+  const objectPath = path.split('/').map(encodeURIComponent).join('/');
+  return new Promise((resolve) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${supabase.supabaseUrl}/storage/v1/object/${bucket}/${objectPath}`);
+    xhr.setRequestHeader('Authorization', `Bearer ${session.access_token}`);
+    xhr.setRequestHeader('apikey', supabase.supabaseKey);
+    xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+    xhr.setRequestHeader('x-upsert', 'false');
+    xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded / e.total); };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) { resolve({ error: null }); return; }
+      let message = xhr.statusText || `Upload failed (${xhr.status})`;
+      try { message = JSON.parse(xhr.responseText).message || message; } catch { /* not JSON */ }
+      resolve({ error: { message, status: xhr.status } });
+    };
+    xhr.onerror = () => resolve({ error: { message: 'Network error during upload' } });
+    xhr.send(file);
+  });
+};
+
+// Drawing onto a canvas and re-encoding drops EXIF (camera, GPS, timestamps);
+// the original filename is replaced too, since it often carries a name or date.
+const stripImageMetadata = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.9));
+  if (!blob) throw new Error('Could not re-encode image');
+  return new File([blob], type === 'image/png' ? 'image.png' : 'image.jpg', { type });
+};
+
+// The bucket is private; signed URLs are cached a little short of their expiry.
+const SIGNED_URL_TTL_S = 60 * 60;
+const signedUrlCache = new Map();
+
+const getAttachmentUrl = async (path, downloadName) => {
+  const key = `${path}|${downloadName || ''}`;
+  const cached = signedUrlCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.url;
+  const { data, error } = await supabase.storage
+    .from(ATTACHMENT_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_TTL_S, downloadName ? { download: downloadName } : undefined);
+  if (error) {
+    console.error("Attachment URL error:", error);
+    return null;
+  }
+  signedUrlCache.set(key, { url: data.signedUrl, expiresAt: Date.now() + (SIGNED_URL_TTL_S - 300) * 1000 });
+  return data.signedUrl;
+};
+
+// An @mention being typed right before the caret
+const MENTION_QUERY = /(?:^|\s)@([^\s@]*)$/;
+const MENTION_SUGGESTION_LIMIT = 6;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits content so odd-indexed parts are the "@Name" of someone the message mentions.
+// Longest names first, so "@Ann Lee" wins over "@Ann".
+const splitMentions = (content, names) => {
+  if (names.length === 0) return [content];
+  const alternatives = names.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|');
+  return content.split(new RegExp(`(@(?:${alternatives}))`, 'g'));
+};
+
+// The words of a search_messages() query worth highlighting: no "or", excluded (-word) terms or quotes
+const searchTerms = (query) => query.split(/\s+/)
+  .filter(word => !word.startsWith('-') && word.toLowerCase() !== 'or')
+  .map(word => word.replace(/"/g, ''))
+  .filter(Boolean);
+
+// Splits content so odd-indexed parts match one of the search terms, case-insensitively
+const splitMatches = (content, terms) => {
+  if (terms.length === 0) return [content];
+  const alternatives = terms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|');
+  return content.split(new RegExp(`(${alternatives})`, 'gi'));
+};
+
+// Must match the reason check on message_reports in supabase_schema.sql;
+// 'filter' is reserved for reports filed by the word filter.
+const REPORT_REASONS = [
+  ['harassment', 'Harassment or bullying'],
+  ['hate', 'Hate speech'],
+  ['spam', 'Spam or advertising'],
+  ['self_harm', 'Self-harm or safety concern'],
+  ['other', 'Something else']
+];
+const REPORT_REASON_LABELS = { ...Object.fromEntries(REPORT_REASONS), filter: 'Word filter' };
+const REPORT_ACTION_LABELS = { deleted: 'message removed', muted: 'sender muted', banned: 'sender banned' };
+const REPORT_CONTEXT_SIZE = 3;
+// Must match the check on identity_reveals.justification in supabase_schema.sql
+const REVEAL_MIN_JUSTIFICATION = 20;
+const REVEAL_EVENT_LABELS = {
+  requested: 'Reveal requested',
+  approved: 'Reveal approved',
+  rejected: 'Reveal rejected',
+  revealed: 'Identity viewed',
+  settings_changed: 'Settings changed',
+  sender_search: 'Searched by real sender'
+};
+
+const reportStatusLabel = (report) => {
+  if (report.status === 'open') return 'Reported · under review';
+  if (report.status === 'dismissed') return 'Report reviewed · no action taken';
+  return `Report upheld · ${REPORT_ACTION_LABELS[report.action] || 'action taken'}`;
+};
+
+const restrictionLabel = (profile) => {
+  if (profile?.banned_at) return 'Banned';
+  if (profile?.muted_until && new Date(profile.muted_until) > new Date()) {
+    return `Muted until ${new Date(profile.muted_until).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+  }
+  return null;
+};
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+const toPortalUser = (profile) => ({
+  id: profile.id,
+  name: profile.full_name,
+  phoneNumber: profile.student_id,
+  avatar: profile.avatar_url || `https://api.dicebear.com/7.x/avataaars/svg?seed=${profile.full_name}`,
+  role: profile.role
+});
+
 // --- Components ---
 
 const GlassCard = ({ children, className, ...props }) => (
@@ -63,8 +370,12 @@ export default function App() {
   const [subjects, setSubjects] = useState([]);
   const [rooms, setRooms] = useState([]);
   const [notices, setNotices] = useState([]);
+  const [enrollments, setEnrollments] = useState({}); // subject_id -> 'requested' | 'enrolled', for the signed-in user
   const [isAdmin, setIsAdmin] = useState(false);
   const [loading, setLoading] = useState(true);
+  const sessionUserId = useRef(null);
+  const [presence, setPresence] = useState({});
+  const lastActivity = useRef(0); // Set when presence starts
 
   const fetchGlobalData = async () => {
     if (!supabase.supabaseUrl || supabase.supabaseUrl.includes('your-project')) {
@@ -72,58 +383,68 @@ export default function App() {
       return;
     }
 
-    const [subRes, roomRes, noticeRes] = await Promise.all([
+    const [subRes, roomData, noticeRes] = await Promise.all([
       supabase.from('subjects').select('*'),
-      supabase.from('rooms').select('*'),
+      fetchRoomsWithMembers(),
       supabase.from('notices').select('*').order('created_at', { ascending: false })
     ]);
 
     if (subRes.data) setSubjects(subRes.data);
     if (noticeRes.data) setNotices(noticeRes.data);
 
-    if (roomRes.data && roomRes.data.length > 0) {
-      setRooms(roomRes.data);
-    } else {
-      const defaultRooms = [
-        { name: 'General Campus', type: 'group' },
-        { name: 'Anonymous Hall', type: 'anonymous' }
-      ];
-      const { data: createdRooms } = await supabase.from('rooms').insert(defaultRooms).select();
-      if (createdRooms) setRooms(createdRooms);
-    }
+    // Default rooms are seeded by supabase_schema.sql
+    if (roomData) setRooms(roomData);
+  };
+
+  // Stable so ChatPortal can call it from effects
+  const refreshRooms = useCallback(async () => {
+    const data = await fetchRoomsWithMembers();
+    if (data) setRooms(data);
+    return data || [];
+  }, []);
+
+  // Admins can read every enrollment, so always narrow to the signed-in user
+  const refreshEnrollments = async (profileId = sessionUserId.current) => {
+    const { data, error } = await supabase.from('enrollments').select('subject_id, status').eq('profile_id', profileId);
+    if (error) console.error("Enrollment fetch error:", error);
+    else setEnrollments(Object.fromEntries(data.map(e => [e.subject_id, e.status])));
   };
 
   useEffect(() => {
-    const init = async () => {
-      try {
-        const storedUser = localStorage.getItem('cc_user');
-        if (storedUser) {
-          const parsed = JSON.parse(storedUser);
-          if (parsed.id) {
-            setUser(parsed);
-            setIsAdmin(parsed.isAdmin || parsed.studentId === 'admin123' || parsed.phoneNumber === 'admin123');
-            await fetchGlobalData();
-          }
-        }
-      } catch (e) {
-        console.error("Initialization error:", e);
-        localStorage.removeItem('cc_user');
-      } finally {
-        setLoading(false);
-      }
-    };
-    init();
+    // Identities used to live in localStorage; the Supabase session replaces them.
+    localStorage.removeItem('cc_user');
 
-    const updateStatus = async (status) => {
-      const storedUser = localStorage.getItem('cc_user');
-      if (storedUser) {
-        const parsed = JSON.parse(storedUser);
-        await supabase.from('profiles').update({ is_online: status }).eq('id', parsed.id);
+    const applySession = async (session) => {
+      if (!session) {
+        sessionUserId.current = null;
+        setUser(null);
+        setIsAdmin(false);
+        setEnrollments({});
+        return;
+      }
+      if (sessionUserId.current === session.user.id) return;
+      sessionUserId.current = session.user.id;
+
+      const { data: profile, error } = await supabase.from('profiles').select('*').eq('id', session.user.id).single();
+      if (error || !profile) {
+        console.error("Profile lookup failed:", error);
+        sessionUserId.current = null;
+        await supabase.auth.signOut({ scope: 'local' });
+        return;
       }
+      setUser(toPortalUser(profile));
+      setIsAdmin(profile.role === 'admin');
+      await Promise.all([fetchGlobalData(), refreshEnrollments(profile.id)]);
     };
 
-    updateStatus(true);
-    window.addEventListener('beforeunload', () => updateStatus(false));
+    // Supabase warns against awaiting its own calls inside this callback, so defer the work.
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'INITIAL_SESSION') {
+        setTimeout(() => applySession(session).catch(e => console.error("Initialization error:", e)).finally(() => setLoading(false)), 0);
+      } else if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+        setTimeout(() => applySession(session), 0);
+      }
+    });
 
     const channel = supabase.channel('portal-updates')
       .on('postgres_changes', { event: '*', table: 'subjects' }, payload => {
@@ -131,10 +452,10 @@ export default function App() {
         if (payload.eventType === 'DELETE') setSubjects(prev => prev.filter(s => s.id !== payload.old.id));
       })
       .on('postgres_changes', { event: '*', table: 'rooms' }, payload => {
-        if (payload.eventType === 'INSERT') setRooms(prev => {
-          if (prev.find(r => r.id === payload.new.id)) return prev;
-          return [...prev, payload.new];
-        });
+        // Refetch so the new room arrives with its roster
+        if (payload.eventType === 'INSERT') fetchRoomsWithMembers().then(data => data && setRooms(data));
+        if (payload.eventType === 'UPDATE') setRooms(prev => prev.map(r => r.id === payload.new.id ? { ...r, ...payload.new } : r));
+        if (payload.eventType === 'DELETE') setRooms(prev => prev.filter(r => r.id !== payload.old.id));
       })
       .on('postgres_changes', { event: '*', table: 'notices' }, payload => {
         if (payload.eventType === 'INSERT') setNotices(prev => [payload.new, ...prev]);
@@ -144,53 +465,93 @@ export default function App() {
       .subscribe();
 
     return () => {
+      subscription.unsubscribe();
       supabase.removeChannel(channel);
     };
   }, []);
 
-  const handleLogin = async (name, phoneNumber) => {
-    const newUser = {
-      name,
-      phoneNumber,
-      avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${name}`,
-      isAdmin: phoneNumber === 'admin123'
+  // Invites, new DMs and removals only show up as room_members changes for this user.
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return;
+    const membershipChannel = supabase.channel(`memberships:${userId}`)
+      .on('postgres_changes', { event: '*', table: 'room_members', filter: `profile_id=eq.${userId}` }, () => {
+        fetchRoomsWithMembers().then(data => data && setRooms(data));
+      })
+      // Subject notices follow enrollment, so re-read them too
+      .on('postgres_changes', { event: '*', table: 'enrollments', filter: `profile_id=eq.${userId}` }, () => {
+        refreshEnrollments(userId);
+        supabase.from('notices').select('*').order('created_at', { ascending: false })
+          .then(({ data }) => data && setNotices(data));
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(membershipChannel);
     };
+  }, [userId]);
 
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('student_id', phoneNumber)
-      .single();
-
-    if (!profile) {
-      const safeHex = Array.from(phoneNumber)
-        .map(c => c.charCodeAt(0).toString(16))
-        .join('')
-        .slice(0, 12)
-        .padEnd(12, '0');
-      const pseudoId = `00000000-0000-0000-0000-${safeHex}`;
-
-      await supabase.from('profiles').insert([
-        { id: pseudoId, student_id: phoneNumber, full_name: name, role: phoneNumber === 'admin123' ? 'admin' : 'student' }
-      ]);
-      newUser.id = pseudoId;
-    } else {
-      newUser.id = profile.id;
-    }
+  // One presence entry per student (keyed by profile id) with a meta per open tab.
+  // Any visible, recently used tab makes them online; otherwise they are away.
+  useEffect(() => {
+    if (!userId) return;
+    const channel = supabase.channel('campus-presence', { config: { presence: { key: userId } } });
+    let tracked = null;
+    lastActivity.current = Date.now();
+
+    const track = () => {
+      const next = document.visibilityState === 'visible' && Date.now() - lastActivity.current < AWAY_AFTER_MS ? 'online' : 'away';
+      if (next === tracked) return;
+      tracked = next;
+      channel.track({ status: next, since: new Date().toISOString() });
+    };
+    const heartbeat = () => supabase.rpc('touch_last_seen').then(({ error }) => {
+      if (error) console.error("Presence heartbeat error:", error);
+    });
+    const onActivity = () => {
+      lastActivity.current = Date.now();
+      track();
+    };
 
-    setUser(newUser);
-    setIsAdmin(phoneNumber === 'admin123');
-    localStorage.setItem('cc_user', JSON.stringify(newUser));
-    await fetchGlobalData();
-  };
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        const state = channel.presenceState();
+        setPresence(Object.fromEntries(Object.entries(state).map(([id, metas]) => [
+          id, metas.some(m => m.status === 'online') ? 'online' : 'away'
+        ])));
+      })
+      .subscribe(status => {
+        if (status === 'SUBSCRIBED') {
+          tracked = null;
+          track();
+        }
+      });
+
+    heartbeat();
+    const statusTimer = setInterval(track, 30 * 1000);
+    const heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+    const activityEvents = ['keydown', 'pointerdown', 'visibilitychange', 'focus'];
+    activityEvents.forEach(ev => window.addEventListener(ev, onActivity));
+
+    return () => {
+      clearInterval(statusTimer);
+      clearInterval(heartbeatTimer);
+      activityEvents.forEach(ev => window.removeEventListener(ev, onActivity));
+      setPresence({});
+      supabase.removeChannel(channel);
+    };
+  }, [userId]);
 
-  const handleLogout = async () => {
+  // scope 'global' revokes every refresh token for this user, signing out all devices.
+  const handleLogout = async (scope = 'local') => {
     if (user) {
-      await supabase.from('profiles').update({ is_online: false }).eq('id', user.id);
+      await supabase.rpc('touch_last_seen');
     }
+    const { error } = await supabase.auth.signOut({ scope });
+    if (error) console.error("Sign out error:", error);
+    sessionUserId.current = null;
     setUser(null);
     setIsAdmin(false);
-    localStorage.removeItem('cc_user');
   };
 
   if (loading) return (
@@ -206,9 +567,9 @@ export default function App() {
     <Router>
       <Routes>
         {!user ? (
-          <Route path="*" element={<LoginScreen onLogin={handleLogin} />} />
+          <Route path="*" element={<LoginScreen />} />
         ) : (
-          <Route element={<MainLayout user={user} isAdmin={isAdmin} handleLogout={handleLogout} rooms={rooms} subjects={subjects} notices={notices} setNotices={setNotices} setSubjects={setSubjects} />}>
+          <Route element={<MainLayout user={user} isAdmin={isAdmin} handleLogout={handleLogout} presence={presence} rooms={rooms} refreshRooms={refreshRooms} subjects={subjects} notices={notices} setNotices={setNotices} setSubjects={setSubjects} enrollments={enrollments} refreshEnrollments={refreshEnrollments} />}>
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="/dashboard" element={<Dashboard user={user} isAdmin={isAdmin} notices={notices} setNotices={setNotices} />} />
             <Route path="/subjects" element={<SubjectPortal isAdmin={isAdmin} subjects={subjects} setSubjects={setSubjects} />} />
@@ -222,10 +583,22 @@ export default function App() {
   );
 }
 
-function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, setNotices, setSubjects }) {
+function MainLayout({ user, isAdmin, handleLogout, presence, rooms, refreshRooms, subjects, notices, setNotices, setSubjects, enrollments, refreshEnrollments }) {
   const navigate = useNavigate();
   const location = useLocation();
   const currentTab = location.pathname.split('/')[1] || 'dashboard';
+  const [showPalette, setShowPalette] = useState(false);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowPalette(open => !open);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
   return (
     <div className="flex h-screen overflow-hidden bg-[#050510] text-slate-200 font-sans selection:bg-blue-500/30">
@@ -247,6 +620,15 @@ function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, set
           </div>
         </div>
 
+        <button
+          onClick={() => setShowPalette(true)}
+          className="mb-2 w-full flex items-center gap-3 px-4 py-2.5 rounded-xl bg-white/5 border border-white/5 text-sm text-slate-500 hover:text-white hover:bg-white/10 transition-colors"
+        >
+          <Search size={16} />
+          <span className="flex-1 text-left">Search everything</span>
+          <kbd className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-white/10">{navigator.platform.startsWith('Mac') ? '⌘K' : 'Ctrl K'}</kbd>
+        </button>
+
         <div className="space-y-1">
           <NavButton active={currentTab === 'dashboard'} onClick={() => navigate('/dashboard')} icon={<Home size={20} />} label="Dashboard" />
           <NavButton active={currentTab === 'subjects'} onClick={() => navigate('/subjects')} icon={<BookOpen size={20} />} label="Study Hub" />
@@ -269,10 +651,17 @@ function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, set
               <span className="text-[10px] text-slate-500 truncate">{user.phoneNumber}</span>
             </div>
           </div>
-          <button onClick={handleLogout} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl mt-4 text-red-400/70 hover:text-red-400 hover:bg-red-500/10 transition-all font-medium text-sm">
+          <button onClick={() => handleLogout()} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl mt-4 text-red-400/70 hover:text-red-400 hover:bg-red-500/10 transition-all font-medium text-sm">
             <LogOut size={18} />
             Log Out
           </button>
+          <button
+            onClick={() => { if (window.confirm('Sign out of CampusConnect on every device?')) handleLogout('global'); }}
+            className="w-full flex items-center gap-3 px-4 py-2 rounded-xl text-[11px] text-slate-500 hover:text-red-400 hover:bg-red-500/10 transition-all font-medium"
+          >
+            <Lock size={14} />
+            Log Out Everywhere
+          </button>
         </div>
       </nav>
 
@@ -285,9 +674,14 @@ function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, set
             </div>
             <h1 className="text-lg font-bold tracking-tight">Campus<span className="text-blue-400">Connect</span></h1>
           </div>
-          <button onClick={handleLogout} className="p-2.5 rounded-xl bg-white/5 border border-white/10 text-red-400">
-            <LogOut size={20} />
-          </button>
+          <div className="flex gap-2">
+            <button onClick={() => setShowPalette(true)} className="p-2.5 rounded-xl bg-white/5 border border-white/10 text-slate-300">
+              <Search size={20} />
+            </button>
+            <button onClick={() => handleLogout()} className="p-2.5 rounded-xl bg-white/5 border border-white/10 text-red-400">
+              <LogOut size={20} />
+            </button>
+          </div>
         </header>
 
         <section className="flex-1 overflow-y-auto custom-scrollbar relative px-4 py-6 md:p-10">
@@ -300,7 +694,7 @@ function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, set
               transition={{ duration: 0.25, ease: "easeOut" }}
               className="max-w-7xl mx-auto h-full"
             >
-              <Outlet context={{ user, isAdmin, subjects, setSubjects, notices, setNotices, rooms }} />
+              <Outlet context={{ user, isAdmin, subjects, setSubjects, notices, setNotices, rooms, refreshRooms, presence, enrollments, refreshEnrollments }} />
             </motion.div>
           </AnimatePresence>
         </section>
@@ -312,48 +706,209 @@ function MainLayout({ user, isAdmin, handleLogout, rooms, subjects, notices, set
           {isAdmin && <MobileNavButton active={currentTab === 'admin'} onClick={() => navigate('/admin')} icon={<Settings />} />}
         </footer>
       </main>
+
+      <AnimatePresence>
+        {showPalette && (
+          <CommandPalette user={user} isAdmin={isAdmin} subjects={subjects} rooms={rooms} enrollments={enrollments} onClose={() => setShowPalette(false)} />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+// Ctrl+K / Cmd+K: jump to any subject, material, room or student. Picks travel as
+// router state (openSubject, openMaterial, openRoom, openDM) to the page that shows them.
+function CommandPalette({ user, isAdmin, subjects, rooms, enrollments, onClose }) {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(0);
+  const [materials, setMaterials] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+
+  // RLS only returns materials from subjects the caller is enrolled in
+  useEffect(() => {
+    Promise.all([
+      supabase.from('materials').select('id, subject_id, type, title, content, subjects(name)'),
+      supabase.from('profiles').select('id, full_name, student_id').neq('id', user.id)
+    ]).then(([materialRes, profileRes]) => {
+      if (materialRes.error || profileRes.error) console.error("Command palette error:", materialRes.error || profileRes.error);
+      setMaterials(materialRes.data || []);
+      setProfiles(profileRes.data || []);
+    });
+  }, [user.id]);
+
+  const items = [
+    ...subjects.map(s => ({
+      kind: 'subject', id: s.id, label: s.name, icon: <BookOpen size={16} />,
+      detail: isAdmin ? 'Subject' : enrollments[s.id] === 'enrolled' ? 'Subject · Enrolled' : 'Subject · Ask to join'
+    })),
+    ...materials.map(m => ({
+      kind: 'material', id: m.id, label: m.title, detail: `${MATERIAL_TYPE_LABELS[m.type]} · ${m.subjects?.name || 'Subject'}`, material: m,
+      icon: m.type === 'video' ? <Video size={16} /> : m.type === 'note' ? <FileText size={16} /> : <LinkIcon size={16} />
+    })),
+    ...rooms.filter(r => r.type !== 'dm' && isRoomJoined(r, user.id)).map(r => ({
+      kind: 'room', id: r.id, label: r.name, detail: r.type === 'anonymous' ? 'Anonymous room' : r.is_private ? 'Private group' : 'Room',
+      icon: r.type === 'anonymous' ? <Ghost size={16} /> : r.is_private ? <Lock size={16} /> : <Hash size={16} />
+    })),
+    ...profiles.map(p => ({ kind: 'student', id: p.id, label: p.full_name, detail: p.student_id, search: `${p.full_name} ${p.student_id}`, icon: <User size={16} /> }))
+  ];
+
+  // With no query only recent items and enrolled subjects are listed; otherwise those
+  // rank above the rest, recent first
+  const recent = readRecent(user.id);
+  const needle = query.trim().toLowerCase();
+  const results = items
+    .map(item => {
+      const position = recent.indexOf(`${item.kind}:${item.id}`);
+      const enrolled = item.kind === 'subject' && enrollments[item.id] === 'enrolled';
+      const boost = (position === -1 ? 0 : 5 + (RECENT_LIMIT - position) / RECENT_LIMIT) + (enrolled ? 4 : 0);
+      const match = needle ? matchScore(item.search || item.label, needle) : 0;
+      if (needle ? !match : !boost) return null;
+      return { ...item, rank: match + boost };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank || (a.label || '').localeCompare(b.label || ''))
+    .slice(0, PALETTE_RESULT_LIMIT);
+
+  const open = (item) => {
+    rememberRecent(user.id, item.kind, item.id);
+    if (item.kind === 'subject') navigate('/subjects', { state: { openSubject: item.id } });
+    else if (item.kind === 'material') navigate('/subjects', { state: { openSubject: item.material.subject_id, openMaterial: item.material } });
+    else if (item.kind === 'room') navigate('/chat', { state: { openRoom: item.id } });
+    else navigate('/chat', { state: { openDM: item.id } });
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose();
+    else if (e.key === 'ArrowDown' && results.length > 0) { e.preventDefault(); setIndex((index + 1) % results.length); }
+    else if (e.key === 'ArrowUp' && results.length > 0) { e.preventDefault(); setIndex((index - 1 + results.length) % results.length); }
+    else if (e.key === 'Enter' && results[index]) { e.preventDefault(); open(results[index]); }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-start justify-center p-4 pt-[15vh]">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+      />
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        className="w-full max-w-xl glass bg-[#0b0b1a]/95 rounded-3xl border border-white/10 shadow-2xl relative z-10 overflow-hidden"
+      >
+        <div className="flex items-center gap-3 px-5 py-4 border-b border-white/5">
+          <Search size={18} className="text-slate-500" />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setIndex(0); }}
+            onKeyDown={handleKeyDown}
+            placeholder="Search subjects, materials, rooms and students..."
+            className="flex-1 bg-transparent border-none focus:outline-none text-sm"
+          />
+          <kbd className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-white/10 text-slate-500">Esc</kbd>
+        </div>
+        <div className="max-h-[50vh] overflow-y-auto p-2 custom-scrollbar">
+          {results.length === 0 && (
+            <p className="py-8 text-center text-xs text-slate-500 italic">
+              {needle ? 'Nothing matches.' : 'Start typing to search. Your subjects and items you open will show up here.'}
+            </p>
+          )}
+          {!needle && results.length > 0 && (
+            <div className="px-3 pt-1 pb-2 text-[10px] font-bold text-slate-500 uppercase tracking-widest">Recent and enrolled</div>
+          )}
+          {results.map((item, i) => (
+            <button
+              key={`${item.kind}:${item.id}`}
+              onClick={() => open(item)}
+              onMouseMove={() => setIndex(i)}
+              className={cn("w-full px-3 py-2.5 rounded-xl flex items-center gap-3 text-left transition-colors", i === index ? "bg-blue-600/20 text-white" : "text-slate-300")}
+            >
+              <div className="w-8 h-8 rounded-lg bg-white/5 text-blue-400 flex items-center justify-center shrink-0">{item.icon}</div>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm truncate">{item.label}</div>
+                <div className="text-[10px] text-slate-500 truncate">{item.detail}</div>
+              </div>
+              {i === index && <ChevronRight size={14} className="text-slate-500 shrink-0" />}
+            </button>
+          ))}
+        </div>
+      </motion.div>
     </div>
   );
 }
 
 // --- Screens & Major Views ---
 
-function LoginScreen({ onLogin }) {
+function LoginScreen() {
   const [name, setName] = useState('');
   const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const [step, setStep] = useState('phone'); // 'phone' or 'code'
   const [error, setError] = useState('');
   const [isAuthenticating, setIsAuthenticating] = useState(false);
   const [success, setSuccess] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const requestCode = async () => {
+    setIsAuthenticating(true);
+    const { error } = await supabase.auth.signInWithOtp({
+      phone: toE164(phoneNumber),
+      // Only applied when the number signs up for the first time
+      options: { data: { full_name: name.trim() } }
+    });
+    setIsAuthenticating(false);
+    if (error) {
+      setError(error.message);
+      return false;
+    }
+    setResendIn(30);
+    return true;
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
 
-    if (!name || !phoneNumber) {
-      setError('Please fill in all fields');
-      return;
-    }
+    if (step === 'phone') {
+      if (!name.trim() || !phoneNumber) {
+        setError('Please fill in all fields');
+        return;
+      }
+
+      const phoneRegex = /^[0-9]{10}$/;
+      if (!phoneRegex.test(phoneNumber)) {
+        setError('Please enter a valid 10-digit number');
+        return;
+      }
 
-    // Bypass for admin testing
-    if (phoneNumber === 'admin123') {
-      onLogin(name, phoneNumber);
+      if (await requestCode()) setStep('code');
       return;
     }
 
-    const phoneRegex = /^[0-9]{10}$/;
-    if (!phoneRegex.test(phoneNumber)) {
-      setError('Please enter a valid 10-digit number');
+    if (!/^[0-9]{6}$/.test(code)) {
+      setError('Enter the 6-digit code we sent you');
       return;
     }
 
     setIsAuthenticating(true);
-    // Simulate a smooth auth transition
-    setTimeout(() => {
-      setSuccess(true);
-      setTimeout(() => {
-        onLogin(name, phoneNumber);
-      }, 800);
-    }, 1200);
+    const { error } = await supabase.auth.verifyOtp({ phone: toE164(phoneNumber), token: code, type: 'sms' });
+    setIsAuthenticating(false);
+    if (error) {
+      setError(error.message);
+      return;
+    }
+    // App picks up the new session from onAuthStateChange
+    setSuccess(true);
   };
 
   return (
@@ -379,26 +934,58 @@ function LoginScreen({ onLogin }) {
 
         <form onSubmit={handleSubmit} className="space-x-0 space-y-4">
           <motion.div animate={success ? { opacity: 0, y: -10 } : { opacity: 1, y: 0 }}>
-            <div>
-              <label className="text-xs font-medium text-slate-400 ml-1 mb-1 block">Full Name</label>
-              <input
-                className="glass-input w-full"
-                placeholder="e.g. John Doe"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-              />
-            </div>
-            <div className="mt-4">
-              <label className="text-xs font-medium text-slate-400 ml-1 mb-1 block">Phone Number</label>
-              <input
-                className="glass-input w-full"
-                placeholder="10-digit number"
-                value={phoneNumber}
-                onChange={(e) => setPhoneNumber(e.target.value)}
-                maxLength={10}
-              />
-              <p className="text-[10px] text-slate-500 mt-1 ml-1">Authenticated via 10-digit PIN</p>
-            </div>
+            {step === 'phone' ? (
+              <>
+                <div>
+                  <label className="text-xs font-medium text-slate-400 ml-1 mb-1 block">Full Name</label>
+                  <input
+                    className="glass-input w-full"
+                    placeholder="e.g. John Doe"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                  />
+                </div>
+                <div className="mt-4">
+                  <label className="text-xs font-medium text-slate-400 ml-1 mb-1 block">Phone Number</label>
+                  <input
+                    className="glass-input w-full"
+                    placeholder="10-digit number"
+                    value={phoneNumber}
+                    onChange={(e) => setPhoneNumber(e.target.value.replace(/\D/g, ''))}
+                    maxLength={10}
+                    inputMode="numeric"
+                  />
+                  <p className="text-[10px] text-slate-500 mt-1 ml-1">We'll text a one-time code to {PHONE_COUNTRY_CODE} {phoneNumber || '…'}</p>
+                </div>
+              </>
+            ) : (
+              <div>
+                <label className="text-xs font-medium text-slate-400 ml-1 mb-1 block">Verification Code</label>
+                <input
+                  className="glass-input w-full text-center tracking-[0.5em] font-mono text-lg"
+                  placeholder="••••••"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                  maxLength={6}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                />
+                <div className="flex items-center justify-between mt-2 px-1 text-[10px]">
+                  <button type="button" onClick={() => { setStep('phone'); setCode(''); setError(''); }} className="text-slate-500 hover:text-white transition-colors">
+                    Change number
+                  </button>
+                  <button
+                    type="button"
+                    disabled={resendIn > 0 || isAuthenticating}
+                    onClick={() => { setError(''); requestCode(); }}
+                    className="text-blue-400 hover:text-blue-300 disabled:text-slate-600 transition-colors"
+                  >
+                    {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                  </button>
+                </div>
+              </div>
+            )}
 
             {error && <p className="text-red-400 text-xs text-center mt-4">{error}</p>}
 
@@ -410,9 +997,9 @@ function LoginScreen({ onLogin }) {
               {isAuthenticating ? (
                 <motion.div initial={{ y: 20 }} animate={{ y: 0 }} className="flex items-center gap-2">
                   <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                  AUTHENTICATING...
+                  {step === 'phone' ? 'SENDING CODE...' : 'VERIFYING...'}
                 </motion.div>
-              ) : "ENTER PORTAL"}
+              ) : step === 'phone' ? "SEND CODE" : "VERIFY & ENTER"}
             </Button>
           </motion.div>
 
@@ -523,7 +1110,7 @@ function NoticeDetailModal({ notice, onClose }) {
 }
 
 function Dashboard() {
-  const { user, isAdmin, notices, setNotices } = useOutletContext();
+  const { user, isAdmin, subjects, notices, setNotices } = useOutletContext();
   const navigate = useNavigate();
   const [selectedNotice, setSelectedNotice] = useState(null);
 
@@ -579,6 +1166,11 @@ function Dashboard() {
                       </div>
                     )}
                   </div>
+                  {notice.subject_id && (
+                    <span className="inline-block mb-1 px-2 py-0.5 rounded-full bg-blue-500/10 text-blue-300 text-[9px] font-bold uppercase tracking-widest">
+                      {subjects.find(s => s.id === notice.subject_id)?.name || 'Subject'}
+                    </span>
+                  )}
                   <p className="text-xs text-slate-400 leading-relaxed line-clamp-2">{notice.content}</p>
                 </div>
                 <div className="flex flex-col items-end gap-2 shrink-0">
@@ -656,159 +1248,1430 @@ const QuickLinkCard = ({ icon, title, desc, color, onClick }) => (
   </GlassCard>
 );
 
-const ChatMessage = ({ message, isMe, showRealNames, isAdmin }) => {
+// receipt is { status: 'sent' | 'delivered' | 'read' } in DMs and { seenBy } elsewhere.
+// history is the admin-only list of earlier versions, loaded on demand.
+// onReply / onOpenThread / onJumpTo are omitted inside the thread panel.
+// mentionNames are the current names of the profiles in message.mentions.
+// myReport is the viewer's own report on this message, if they filed one.
+// reveal / revealedIdentity are the admin's own reveal request and its result.
+const ChatMessage = ({
+  message, isMe, isAdmin, receipt, canEdit, onEdit, onDelete, history, onToggleHistory,
+  onReply, onOpenThread, onJumpTo, onOpenImage, highlighted, mentionNames = [], mentionsMe, onReport, myReport,
+  onReveal, reveal, revealedIdentity, onPin, onPlayVideo
+}) => {
+  const isDeleted = !!message.deleted_at;
   return (
     <motion.div
+      id={`msg-${message.id}`}
       initial={{ opacity: 0, x: isMe ? 20 : -20 }}
       animate={{ opacity: 1, x: 0 }}
-      className={cn("flex flex-col gap-1 w-full group", isMe ? "items-end" : "items-start")}
+      className={cn("flex flex-col gap-1 w-full group rounded-2xl transition-colors duration-700", isMe ? "items-end" : "items-start", highlighted && "bg-blue-500/10")}
     >
-      <div className="flex items-center gap-2 px-1">
+      <div className={cn("flex items-center gap-2 px-1", isMe && "flex-row-reverse")}>
+        {message.is_anonymous && <PseudonymAvatar pseudonym={message.pseudonym} />}
         <span className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">
-          {message.is_anonymous && !isAdmin && !showRealNames ? "Ghost User" : message.profiles?.full_name || "Unknown"}
+          {senderLabel(message)}
         </span>
+        {revealedIdentity && (
+          <span className="text-[10px] font-bold text-amber-400 flex items-center gap-1" title="Revealed identity (logged)">
+            <Eye size={10} /> {revealedIdentity.full_name} · {revealedIdentity.student_id}
+          </span>
+        )}
+        {!revealedIdentity && reveal?.status === 'pending' && <span className="text-[9px] text-amber-400/80 italic">reveal awaiting approval</span>}
+        {!revealedIdentity && reveal?.status === 'rejected' && <span className="text-[9px] text-red-400/80 italic">reveal rejected</span>}
         <span className="text-[9px] text-slate-500 opacity-0 group-hover:opacity-100 transition-opacity">
           {new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
         </span>
+        {message.edited_at && !isDeleted && <span className="text-[9px] text-slate-500 italic">edited</span>}
+        {message.pinned_at && <Pin size={9} className="text-amber-400" />}
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+          {onReply && !isDeleted && (
+            <button onClick={() => onReply(message)} title="Reply" className="p-1 text-slate-500 hover:text-blue-400"><Reply size={11} /></button>
+          )}
+          {onOpenThread && !isDeleted && (
+            <button onClick={() => onOpenThread(message)} title="Reply in thread" className="p-1 text-slate-500 hover:text-blue-400"><MessagesSquare size={11} /></button>
+          )}
+          {canEdit && (
+            <button onClick={() => onEdit(message)} title="Edit" className="p-1 text-slate-500 hover:text-blue-400"><Pencil size={11} /></button>
+          )}
+          {onPin && !isDeleted && !message.thread_id && (
+            <button onClick={() => onPin(message, !message.pinned_at)} title={message.pinned_at ? "Unpin" : "Pin to room"} className="p-1 text-slate-500 hover:text-amber-400">
+              {message.pinned_at ? <PinOff size={11} /> : <Pin size={11} />}
+            </button>
+          )}
+          {!isDeleted && (isMe || isAdmin) && (
+            <button onClick={() => onDelete(message)} title={isMe ? "Delete" : "Delete as moderator"} className="p-1 text-slate-500 hover:text-red-400"><Trash2 size={11} /></button>
+          )}
+          {isAdmin && onReveal && message.is_anonymous && !isMe && !revealedIdentity && reveal?.status !== 'pending' && (
+            <button onClick={() => onReveal(message)} title="Reveal sender" className="p-1 text-slate-500 hover:text-amber-400"><Eye size={11} /></button>
+          )}
+          {onReport && !isMe && !isDeleted && !myReport && (
+            <button onClick={() => onReport(message)} title="Report" className="p-1 text-slate-500 hover:text-amber-400"><Flag size={11} /></button>
+          )}
+          {isAdmin && (message.edited_at || isDeleted) && (
+            <button onClick={() => onToggleHistory(message)} title="Edit history" className="p-1 text-slate-500 hover:text-purple-400"><History size={11} /></button>
+          )}
+        </div>
       </div>
       <div className={cn(
         "max-w-[85%] px-4 py-2.5 rounded-2xl text-sm shadow-xl relative",
-        isMe
-          ? "bg-blue-600 text-white rounded-tr-none"
-          : "bg-white/10 text-white border border-white/5 rounded-tl-none backdrop-blur-md"
+        isDeleted
+          ? "bg-transparent border border-dashed border-white/10 text-slate-500"
+          : isMe
+            ? "bg-blue-600 text-white rounded-tr-none"
+            : "bg-white/10 text-white border border-white/5 rounded-tl-none backdrop-blur-md",
+        mentionsMe && !isDeleted && "ring-1 ring-amber-400/60"
       )}>
-        <p className="leading-relaxed">{message.content}</p>
-        {isMe && (
-          <div className="absolute -bottom-1 -right-4 flex items-center opacity-0 group-hover:opacity-100 transition-all">
-            {message.is_read ? (
-              <CheckCheck size={12} className="text-blue-400" />
+        {message.reply_to_id && !isDeleted && (
+          <button
+            onClick={() => onJumpTo?.(message.reply_to_id)}
+            className={cn("block w-full text-left mb-2 px-3 py-1.5 rounded-lg border-l-2 text-xs", isMe ? "bg-white/10 border-white/40" : "bg-black/20 border-blue-400/60")}
+          >
+            {message.quoted ? (
+              <>
+                <span className="block text-[9px] font-bold uppercase tracking-widest opacity-70">{senderLabel(message.quoted)}</span>
+                <span className="block truncate opacity-80">
+                  {message.quoted.deleted_at ? "Message deleted" : message.quoted.content || message.quoted.attachment?.name}
+                </span>
+              </>
             ) : (
+              <span className="italic opacity-70">Original message unavailable</span>
+            )}
+          </button>
+        )}
+        {isDeleted ? (
+          <p className="leading-relaxed italic text-xs">
+            {message.deleted_by && message.deleted_by !== message.sender_id ? "Message removed by a moderator" : "Message deleted"}
+          </p>
+        ) : (
+          <>
+            {message.attachment && <MessageAttachment attachment={message.attachment} isMe={isMe} onOpenImage={onOpenImage} />}
+            {message.material && <LinkedMaterial material={message.material} isMe={isMe} onPlayVideo={onPlayVideo} />}
+            {message.content && (
+              <p className="leading-relaxed">
+                {splitMentions(message.content, mentionNames).map((part, i) => i % 2 === 1 ? (
+                  <span key={i} className={cn("px-1 rounded-md font-semibold", isMe ? "bg-white/20" : "bg-blue-500/20 text-blue-300")}>{part}</span>
+                ) : part)}
+              </p>
+            )}
+          </>
+        )}
+        {isMe && !isDeleted && receipt?.status && (
+          <div className="absolute -bottom-1 -right-4 flex items-center" title={receipt.status}>
+            {receipt.status === 'sent' ? (
               <Check size={12} className="text-slate-500" />
+            ) : (
+              <CheckCheck size={12} className={receipt.status === 'read' ? "text-blue-400" : "text-slate-500"} />
             )}
           </div>
         )}
       </div>
+      {myReport && (
+        <span className={cn("text-[9px] px-1 flex items-center gap-1", myReport.status === 'actioned' ? "text-green-400" : "text-amber-400/80")}>
+          <Flag size={9} /> {reportStatusLabel(myReport)}
+        </span>
+      )}
+      {isMe && !isDeleted && receipt?.seenBy > 0 && (
+        <span className="text-[9px] text-slate-500 px-1">Seen by {receipt.seenBy}</span>
+      )}
+      {onOpenThread && message.reply_count > 0 && (
+        <button onClick={() => onOpenThread(message)} className="text-[10px] font-bold text-blue-400 hover:text-blue-300 px-1 flex items-center gap-1">
+          <MessagesSquare size={11} /> {message.reply_count} {message.reply_count === 1 ? 'reply' : 'replies'}
+        </button>
+      )}
+      {history && (
+        <div className="max-w-[85%] w-full p-3 rounded-xl bg-purple-500/5 border border-purple-500/20 space-y-2">
+          <div className="text-[9px] font-bold text-purple-300 uppercase tracking-widest">Earlier versions</div>
+          {history.length === 0 && <p className="text-[11px] text-slate-500 italic">No history recorded.</p>}
+          {history.map(edit => (
+            <div key={edit.id} className="text-[11px] text-slate-400">
+              <span className="font-mono text-[9px] text-slate-500 mr-2">{new Date(edit.edited_at).toLocaleString()}</span>
+              {edit.previous_content}
+            </div>
+          ))}
+        </div>
+      )}
     </motion.div>
   );
 };
 
-function ChatPortal() {
-  const { user, rooms, isAdmin } = useOutletContext();
-  const [activeRoom, setActiveRoom] = useState(rooms[0]);
-  const [inputText, setInputText] = useState('');
-  const [chatMessages, setChatMessages] = useState([]);
-  const [showRealNames, setShowRealNames] = useState(false);
-  const [searchUser, setSearchUser] = useState('');
-  const [availableProfiles, setAvailableProfiles] = useState([]);
-  const [allProfiles, setAllProfiles] = useState([]);
-  const [sidebarTab, setSidebarTab] = useState('rooms'); // 'rooms' or 'directory'
-  const [mobileShowChat, setMobileShowChat] = useState(false);
-  const scrollRef = useRef();
+const PseudonymAvatar = ({ pseudonym, className }) => {
+  const [adjective, animal] = (pseudonym || '').split(' ');
+  return (
+    <div className={cn("w-5 h-5 rounded-full flex items-center justify-center text-[11px] shrink-0", PSEUDONYM_COLORS[adjective] || "bg-purple-600/20", className)}>
+      {PSEUDONYM_ANIMALS[animal] || <Ghost size={11} className="text-purple-300" />}
+    </div>
+  );
+};
 
-  useEffect(() => {
-    if (!activeRoom && rooms.length > 0) setActiveRoom(rooms[0]);
-  }, [rooms, activeRoom]);
+const MessageAttachment = ({ attachment, isMe, onOpenImage }) => {
+  const [url, setUrl] = useState(null);
+  const isImage = attachment.mime?.startsWith('image/');
 
-  // Fetch all profiles and messages
   useEffect(() => {
-    const fetchInitial = async () => {
-      const { data: profs } = await supabase.from('profiles').select('*');
-      if (profs) setAllProfiles(profs);
+    let active = true;
+    getAttachmentUrl(attachment.path, isImage ? null : attachment.name).then(signed => {
+      if (active) setUrl(signed);
+    });
+    return () => { active = false; };
+  }, [attachment.path, attachment.name, isImage]);
+
+  if (isImage) {
+    return (
+      <button
+        type="button"
+        onClick={() => url && onOpenImage?.({ url, name: attachment.name })}
+        className="block mb-2 -mx-2 rounded-xl overflow-hidden bg-black/20"
+      >
+        {url ? (
+          <img src={url} alt={attachment.name} className="max-h-60 max-w-full object-cover" />
+        ) : (
+          <div className="w-48 h-32 animate-pulse bg-white/5" />
+        )}
+      </button>
+    );
+  }
 
-      if (activeRoom) {
-        const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
-        const { data: msgs } = await supabase
-          .from('messages')
-          .select('*, profiles(full_name, student_id)')
-          .eq('room_id', activeRoom.id)
-          .gt('created_at', twoDaysAgo)
-          .order('created_at', { ascending: true });
-        if (msgs) setChatMessages(msgs);
-      }
-    };
-    fetchInitial();
+  return (
+    <a
+      href={url || undefined}
+      className={cn("flex items-center gap-3 mb-2 -mx-1 p-3 rounded-xl min-w-[200px]", isMe ? "bg-white/10 hover:bg-white/20" : "bg-black/20 hover:bg-black/30")}
+    >
+      <FileText size={22} className="shrink-0 opacity-80" />
+      <div className="flex-1 min-w-0">
+        <div className="text-xs font-semibold truncate">{attachment.name}</div>
+        <div className="text-[10px] opacity-60">{formatBytes(attachment.size)}</div>
+      </div>
+      <Download size={16} className="shrink-0 opacity-70" />
+    </a>
+  );
+};
 
-    // Profile status subscription
-    const profChannel = supabase.channel('profile-status')
-      .on('postgres_changes', { event: '*', table: 'profiles' }, payload => {
-        if (payload.eventType === 'UPDATE') {
-          setAllProfiles(prev => prev.map(p => p.id === payload.new.id ? payload.new : p));
-        } else if (payload.eventType === 'INSERT') {
-          setAllProfiles(prev => [...prev, payload.new]);
-        }
-      })
-      .subscribe();
+const MATERIAL_TYPE_LABELS = { video: 'Video', note: 'Notes', link: 'Link' };
+const MATERIAL_TAG_LIMIT = 10;
+
+// "Exam, lab,  Week 3" -> ['exam', 'lab', 'week 3']
+const parseTags = (text) =>
+  [...new Set(text.split(',').map(t => t.trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))].slice(0, MATERIAL_TAG_LIMIT);
+
+const MATERIAL_BUCKET = 'materials';
+// Must match file_size_limit / allowed_mime_types on the bucket in supabase_schema.sql
+const MATERIAL_MAX_BYTES = 50 * 1024 * 1024;
+const MATERIAL_TYPES = [
+  'application/pdf', 'text/plain', 'image/jpeg', 'image/png',
+  'application/msword', 'application/vnd.ms-powerpoint', 'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Validation here is for quick feedback; the bucket enforces the same limits
+const materialFileError = (file) => {
+  if (!MATERIAL_TYPES.includes(file.type)) return 'Unsupported file type';
+  if (file.size > MATERIAL_MAX_BYTES) return `Larger than ${formatBytes(MATERIAL_MAX_BYTES)}`;
+  return null;
+};
 
-    return () => {
-      supabase.removeChannel(profChannel);
-    };
-  }, [activeRoom]);
+// "lab_manual-week-3.pdf" -> "lab manual week 3"
+const titleFromFilename = (name) => name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || name;
 
-  // Message subscription
-  useEffect(() => {
-    if (!activeRoom) return;
+// Best effort: anything left behind shows up in the orphaned files tool on the Maint tab
+const removeMaterialFiles = async (paths) => {
+  const names = paths.filter(Boolean);
+  if (names.length === 0) return;
+  const { error } = await supabase.storage.from(MATERIAL_BUCKET).remove(names);
+  if (error) console.error("Storage cleanup error:", error);
+};
 
-    const msgSubscription = supabase
-      .channel(`room:${activeRoom.id}`)
-      .on('postgres_changes', {
-        event: 'INSERT',
-        table: 'messages',
-        filter: `room_id=eq.${activeRoom.id}`
+// delete_message() only blanks a message's attachment, so its file is removed here.
+// Best effort: the message is already gone from the chat either way.
+const removeAttachment = async (attachment) => {
+  if (!attachment) return;
+  const { error } = await supabase.storage.from(ATTACHMENT_BUCKET).remove([attachment.path]);
+  if (error) console.error("Attachment cleanup error:", error);
+};
+
+// Deleting the row alone would leave its uploaded note, and the files of earlier versions, in the bucket
+const deleteMaterial = async (material) => {
+  const { data: versions } = await supabase.from('material_versions').select('storage_path').eq('material_id', material.id);
+  const result = await supabase.from('materials').delete().eq('id', material.id).select();
+  if (!result.error) await removeMaterialFiles([...new Set([material.storage_path, ...(versions || []).map(v => v.storage_path)])]);
+  return result;
+};
+
+const DELETE_SUBJECT_PROMPT = 'Are you sure? This will delete all materials for this subject and archive its discussion room.';
+
+// Materials and their versions go with the subject by cascade, so their files are noted first
+const deleteSubject = async (id) => {
+  const [{ data: files }, { data: versionFiles }] = await Promise.all([
+    supabase.from('materials').select('storage_path').eq('subject_id', id).not('storage_path', 'is', null),
+    supabase.from('material_versions').select('storage_path, materials!inner(subject_id)').eq('materials.subject_id', id).not('storage_path', 'is', null)
+  ]);
+  const result = await supabase.from('subjects').delete().eq('id', id).select();
+  if (!writeError(result)) await removeMaterialFiles([...new Set([...(files || []), ...(versionFiles || [])].map(f => f.storage_path))]);
+  return result;
+};
+
+// A subject material linked from its discussion room; videos play in place, the rest open in a tab
+const LinkedMaterial = ({ material, isMe, onPlayVideo }) => {
+  const className = cn("flex items-center gap-3 mb-2 -mx-1 p-3 rounded-xl min-w-[200px] text-left", isMe ? "bg-white/10 hover:bg-white/20" : "bg-black/20 hover:bg-black/30");
+  const details = (
+    <>
+      <div className="shrink-0 opacity-80">
+        {material.type === 'video' ? <Video size={20} /> : material.type === 'note' ? <FileText size={20} /> : <LinkIcon size={20} />}
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="text-xs font-semibold truncate">{material.title}</div>
+        <div className="text-[10px] opacity-60 uppercase tracking-widest">{MATERIAL_TYPE_LABELS[material.type]}</div>
+      </div>
+    </>
+  );
+
+  if (material.type === 'video') {
+    return (
+      <button type="button" onClick={() => onPlayVideo?.(material)} className={className}>
+        {details}
+        <Play size={14} className="shrink-0 opacity-70" fill="currentColor" />
+      </button>
+    );
+  }
+  return (
+    <a href={material.content} target="_blank" rel="noopener noreferrer" className={className}>
+      {details}
+      <ChevronRight size={16} className="shrink-0 opacity-70" />
+    </a>
+  );
+};
+
+function ImageLightbox({ image, onClose }) {
+  if (!image) return null;
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/90 backdrop-blur-sm"
+      />
+      <motion.img
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        src={image.url}
+        alt={image.name}
+        className="max-w-full max-h-full rounded-2xl shadow-2xl relative z-10 border border-white/10"
+      />
+      <button
+        onClick={onClose}
+        className="absolute top-4 right-4 w-10 h-10 rounded-full bg-black/50 text-white flex items-center justify-center hover:bg-white/10 transition-colors z-20"
+      >
+        <Plus size={24} className="rotate-45" />
+      </button>
+    </div>
+  );
+}
+
+function ReportModal({ message, onSubmit, onClose }) {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+    setSubmitting(true);
+    const failure = await onSubmit(reason, details);
+    setSubmitting(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/80 backdrop-blur-sm"
+      />
+      <motion.form
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onSubmit={submit}
+        className="glass-card w-full max-w-md space-y-4 relative z-10"
+      >
+        <h3 className="text-lg font-bold flex items-center gap-2 text-amber-400"><Flag size={20} /> Report message</h3>
+        <p className="text-xs text-slate-400 line-clamp-3 italic">"{message.content || message.attachment?.name}"</p>
+        <div className="space-y-2">
+          {REPORT_REASONS.map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setReason(value)}
+              className={cn("w-full p-3 rounded-xl border text-left text-sm transition-all", reason === value ? "bg-amber-500/10 border-amber-400/50 text-white" : "bg-white/5 border-transparent text-slate-300 hover:bg-white/10")}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <textarea
+          placeholder="Anything moderators should know? (optional)"
+          className="glass-input w-full h-20 text-sm"
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+        />
+        <p className="text-[10px] text-slate-500">Only admins see reports. The person you report is not told who reported them.</p>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <div className="flex gap-3">
+          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button type="submit" disabled={!reason || submitting} className="flex-1">{submitting ? 'Sending...' : 'Submit report'}</Button>
+        </div>
+      </motion.form>
+    </div>
+  );
+}
+
+function RevealModal({ message, onSubmit, onClose }) {
+  const [justification, setJustification] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const tooShort = justification.trim().length < REVEAL_MIN_JUSTIFICATION;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (tooShort) return;
+    setSubmitting(true);
+    const failure = await onSubmit(justification);
+    setSubmitting(false);
+    if (failure) setError(failure);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/80 backdrop-blur-sm"
+      />
+      <motion.form
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        onSubmit={submit}
+        className="glass-card w-full max-w-md space-y-4 relative z-10"
+      >
+        <h3 className="text-lg font-bold flex items-center gap-2 text-amber-400"><Eye size={20} /> Reveal sender</h3>
+        <p className="text-xs text-slate-400 line-clamp-3 italic">"{message.content || message.attachment?.name || 'Message deleted'}"</p>
+        <textarea
+          autoFocus
+          placeholder="Why does this sender need to be identified?"
+          className="glass-input w-full h-28 text-sm"
+          value={justification}
+          onChange={(e) => setJustification(e.target.value)}
+        />
+        <p className="text-[10px] text-slate-500">
+          Your name, this justification and every time you view the identity are written to the audit log that all admins can review.
+          If approval is required, another admin has to approve the request first.
+        </p>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <div className="flex gap-3">
+          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button type="submit" disabled={tooShort || submitting} className="flex-1">{submitting ? 'Submitting...' : 'Request reveal'}</Button>
+        </div>
+      </motion.form>
+    </div>
+  );
+}
+
+// roomId embeds a single room (a subject's discussion) without the room list;
+// linkMaterial pre-fills the composer with a material to discuss.
+function ChatPortal({ roomId, linkMaterial }) {
+  const { user, rooms, isAdmin, refreshRooms, presence } = useOutletContext();
+  const [activeRoom, setActiveRoom] = useState(() => rooms.find(r => roomId ? r.id === roomId : isRoomJoined(r, user.id)));
+  const [inputText, setInputText] = useState('');
+  const [chatMessages, setChatMessages] = useState([]);
+  const [searchUser, setSearchUser] = useState('');
+  const [availableProfiles, setAvailableProfiles] = useState([]);
+  const [allProfiles, setAllProfiles] = useState([]);
+  const [sidebarTab, setSidebarTab] = useState('rooms'); // 'rooms' or 'directory'
+  const [mobileShowChat, setMobileShowChat] = useState(!!roomId);
+  const [showNewRoom, setShowNewRoom] = useState(false);
+  const [newRoomName, setNewRoomName] = useState('');
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const [mentionCounts, setMentionCounts] = useState({});
+  const [roomReads, setRoomReads] = useState([]);
+  const [typers, setTypers] = useState({});
+  const [directorySort, setDirectorySort] = useState('online'); // 'online' or 'name'
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [messageHistory, setMessageHistory] = useState({ id: null, edits: [] });
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [threadInput, setThreadInput] = useState('');
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [pendingAttachment, setPendingAttachment] = useState(null); // { file, previewUrl }
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [composerError, setComposerError] = useState('');
+  const [threadError, setThreadError] = useState('');
+  const [editingReply, setEditingReply] = useState(null); // Thread reply being edited in the thread composer
+  const [lightboxImage, setLightboxImage] = useState(null);
+  const [myReports, setMyReports] = useState({}); // message_id -> the viewer's report
+  const [reportingMessage, setReportingMessage] = useState(null);
+  const [myReveals, setMyReveals] = useState({}); // message_id -> this admin's latest reveal request
+  const [revealedIdentities, setRevealedIdentities] = useState({}); // message_id -> { full_name, student_id }
+  const [revealTarget, setRevealTarget] = useState(null);
+  const [myPseudonym, setMyPseudonym] = useState(null);
+  const [draftMentions, setDraftMentions] = useState([]); // [{ id, name }] picked from autocomplete
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [sidePanel, setSidePanel] = useState(null); // 'search' or 'settings'; a thread takes the same spot
+  const [roomPrefs, setRoomPrefs] = useState({}); // room_id -> the viewer's room_preferences row
+  const [roomDraft, setRoomDraft] = useState({ name: '', topic: '' });
+  const [pinnedMessages, setPinnedMessages] = useState([]); // Newest pin first
+  const [pinsCollapsed, setPinsCollapsed] = useState(false);
+  const [showAllPins, setShowAllPins] = useState(false);
+  const [subjectMaterials, setSubjectMaterials] = useState([]);
+  const [draftMaterial, setDraftMaterial] = useState(linkMaterial || null);
+  const [showMaterialPicker, setShowMaterialPicker] = useState(false);
+  const [playingVideo, setPlayingVideo] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState({ sender: '', from: '', to: '', allRooms: false, justification: '' });
+  const [searchResults, setSearchResults] = useState(null); // { terms, messages } once a search has run
+  const [searching, setSearching] = useState(false);
+  const openThreadId = useRef(null);
+  const pendingJumpId = useRef(null); // Search result to show once another room has loaded
+  const fileInputRef = useRef();
+  const inputRef = useRef();
+  // Anonymous rooms get a throwaway key instead of the profile id, fresh for every room
+  // so typists can't be matched up across rooms
+  const typingKey = useRef(null);
+  const roomChannel = useRef(null);
+  const lastTypingSent = useRef(0);
+  const scrollRef = useRef();
+  const scrollIntent = useRef(null);
+  const pageLoading = useRef(false);
+  const hasNewerRef = useRef(false);
+  const activeRoomId = useRef(null);
+  const dateInputRef = useRef();
+
+  // Pinned rooms first; sort is stable, so each group keeps its creation order
+  const joinedRooms = rooms.filter(r => isRoomJoined(r, user.id))
+    .sort((a, b) => Number(!!roomPrefs[b.id]?.pinned) - Number(!!roomPrefs[a.id]?.pinned));
+  const invitations = rooms.filter(r => myRoomRole(r, user.id) === 'invited');
+  // activeRoom is a snapshot; the rooms list carries the live roster
+  const currentRoom = rooms.find(r => r.id === activeRoom?.id) || activeRoom;
+  const canInvite = currentRoom?.type === 'group' && currentRoom.is_private && isRoomJoined(currentRoom, user.id);
+  // Must match the checks in update_room() / leave_room() in supabase_schema.sql
+  const canManageRoom = !!currentRoom && currentRoom.type !== 'dm' && (isAdmin || myRoomRole(currentRoom, user.id) === 'owner');
+  const canPin = isAdmin || myRoomRole(currentRoom, user.id) === 'owner';
+  const isArchived = !!currentRoom?.archived_at;
+  const subjectId = currentRoom?.subject_id;
+  const canLeaveRoom = !!currentRoom?.is_private && ['owner', 'member'].includes(myRoomRole(currentRoom, user.id));
+  const dmPartner = currentRoom?.type === 'dm'
+    ? allProfiles.find(p => p.id !== user.id && currentRoom.name.split(':').includes(p.id))
+    : null;
+
+  useEffect(() => {
+    if (!activeRoom) {
+      const firstJoined = rooms.find(r => roomId ? r.id === roomId : isRoomJoined(r, user.id));
+      if (firstJoined) setActiveRoom(firstJoined);
+    }
+  }, [rooms, activeRoom, user.id, roomId]);
+
+  const highlight = useCallback((id) => {
+    setHighlightedId(id);
+    setTimeout(() => setHighlightedId(current => current === id ? null : current), 2000);
+  }, []);
+
+  const openThread = useCallback(async (root) => {
+    openThreadId.current = root.id;
+    setThreadRoot(root);
+    setThreadMessages([]);
+    setThreadError('');
+    setEditingReply(null);
+    const replies = await fetchThread(root.id);
+    if (openThreadId.current === root.id) setThreadMessages(replies);
+  }, []);
+
+  // Scroll to a message, loading the history around it first if it is not on screen
+  const jumpToMessage = useCallback(async (id) => {
+    const existing = scrollRef.current?.querySelector(`#msg-${id}`);
+    if (existing) {
+      existing.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      highlight(id);
+      return;
+    }
+    const { data: target } = await supabase.from('messages').select('id, room_id, created_at, thread_id').eq('id', id).single();
+    if (!target || target.room_id !== activeRoom?.id) return;
+    if (target.thread_id) {
+      const { data: root } = await supabase.from('messages').select(MESSAGE_SELECT).eq('id', target.thread_id).single();
+      if (root) openThread(root);
+      return;
+    }
+    const [older, newer] = await Promise.all([
+      fetchMessagePage(activeRoom.id, { before: target }),
+      fetchMessagePage(activeRoom.id, { from: target.created_at })
+    ]);
+    scrollIntent.current = { mode: 'message', id };
+    setChatMessages([...older, ...newer]);
+    setHasOlder(older.length === MESSAGE_PAGE_SIZE);
+    setHasNewer(newer.length === MESSAGE_PAGE_SIZE);
+    highlight(id);
+  }, [activeRoom, highlight, openThread]);
+
+  // Fetch all profiles and the newest page of messages
+  useEffect(() => {
+    let cancelled = false;
+    activeRoomId.current = activeRoom?.id;
+    const fetchInitial = async () => {
+      const { data: profs } = await supabase.from('profiles').select('*');
+      if (profs && !cancelled) setAllProfiles(profs);
+
+      if (activeRoom) {
+        const [page, { data: reads }] = await Promise.all([
+          fetchMessagePage(activeRoom.id),
+          supabase.from('room_reads').select('profile_id, last_delivered_at, last_read_at').eq('room_id', activeRoom.id)
+        ]);
+        if (cancelled) return;
+        scrollIntent.current = { mode: 'bottom' };
+        setChatMessages(page);
+        setRoomReads(reads || []);
+        setHasOlder(page.length === MESSAGE_PAGE_SIZE);
+        setHasNewer(false);
+        if (pendingJumpId.current) {
+          jumpToMessage(pendingJumpId.current);
+          pendingJumpId.current = null;
+        }
+      }
+    };
+    fetchInitial();
+
+    // Profile status subscription
+    const profChannel = supabase.channel('profile-status')
+      .on('postgres_changes', { event: '*', table: 'profiles' }, payload => {
+        if (payload.eventType === 'UPDATE') {
+          setAllProfiles(prev => prev.map(p => p.id === payload.new.id ? payload.new : p));
+        } else if (payload.eventType === 'INSERT') {
+          setAllProfiles(prev => [...prev, payload.new]);
+        }
+      })
+      .subscribe();
+
+    return () => {
+      cancelled = true;
+      supabase.removeChannel(profChannel);
+    };
+  }, [activeRoom, jumpToMessage]);
+
+  // Message subscription
+  useEffect(() => {
+    if (!isRoomJoined(activeRoom, user.id)) return;
+
+    const msgSubscription = supabase
+      .channel(`room:${activeRoom.id}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        table: 'messages',
+        filter: `room_id=eq.${activeRoom.id}`
       }, async (payload) => {
-        const { data: profile } = await supabase.from('profiles').select('full_name, student_id').eq('id', payload.new.sender_id).single();
-        const newMsg = { ...payload.new, profiles: profile };
-        setChatMessages(prev => [...prev, newMsg]);
+        const isThreadReply = !!payload.new.thread_id;
+        if (isThreadReply && payload.new.thread_id !== openThreadId.current) return;
+        // Viewing older history: the new message is picked up when paging forward
+        if (!isThreadReply && hasNewerRef.current) return;
+        // Re-read through the API for the sender and quote embeds
+        const { data: newMsg } = await supabase.from('messages').select(MESSAGE_SELECT).eq('id', payload.new.id).single();
+        if (!newMsg) return;
+        if (isThreadReply) {
+          setThreadMessages(prev => prev.some(m => m.id === newMsg.id) ? prev : [...prev, newMsg]);
+          return;
+        }
+        const el = scrollRef.current;
+        const nearBottom = el && el.scrollHeight - el.scrollTop - el.clientHeight < 120;
+        if (nearBottom || authorId(newMsg) === user.id) scrollIntent.current = { mode: 'bottom' };
+        // Pseudonyms rotate; the latest own message shows the current one
+        if (authorId(newMsg) === user.id && newMsg.pseudonym) setMyPseudonym(newMsg.pseudonym);
+        setChatMessages(prev => prev.some(m => m.id === newMsg.id) ? prev : [...prev, newMsg]);
+      })
+      .on('postgres_changes', {
+        event: 'UPDATE',
+        table: 'messages',
+        filter: `room_id=eq.${activeRoom.id}`
+      }, (payload) => {
+        // Edits, soft deletes and reply counts; keep the embeds from the original load
+        const merge = prev => prev.map(m => m.id === payload.new.id ? { ...m, ...payload.new } : m);
+        setChatMessages(merge);
+        setThreadMessages(merge);
+        setThreadRoot(prev => prev?.id === payload.new.id ? { ...prev, ...payload.new } : prev);
+        syncPin(payload.new);
+      })
+      .on('postgres_changes', {
+        event: '*',
+        table: 'room_reads',
+        filter: `room_id=eq.${activeRoom.id}`
+      }, (payload) => {
+        if (payload.eventType === 'DELETE') return;
+        setRoomReads(prev => [...prev.filter(r => r.profile_id !== payload.new.profile_id), payload.new]);
+      })
+      .on('broadcast', { event: 'typing' }, ({ payload }) => {
+        setTypers(prev => {
+          const next = { ...prev };
+          if (payload.typing) next[payload.key] = { name: payload.name, expiresAt: Date.now() + TYPING_TTL_MS };
+          else delete next[payload.key];
+          return next;
+        });
       })
       .subscribe();
+    roomChannel.current = msgSubscription;
+    typingKey.current = crypto.randomUUID();
 
     return () => {
+      roomChannel.current = null;
+      lastTypingSent.current = 0;
+      setTypers({});
+      setEditingMessage(null);
+      setReplyingTo(null);
+      setPendingAttachment(null);
+      setComposerError('');
+      setDraftMentions([]);
+      setMentionQuery(null);
+      setThreadRoot(null);
+      setThreadError('');
+      setEditingReply(null);
+      setShowAllPins(false);
+      setShowMaterialPicker(false);
+      openThreadId.current = null;
+      if (!pendingJumpId.current) setSearchResults(null);
       supabase.removeChannel(msgSubscription);
     };
+  }, [activeRoom, user.id]);
+
+  useEffect(() => {
+    if (linkMaterial) setDraftMaterial(linkMaterial);
+  }, [linkMaterial]);
+
+  const navigate = useNavigate();
+  const location = useLocation();
+  const handledPaletteKey = useRef(null);
+
+  // Rooms opened here rank first in the command palette; DMs are found by student instead
+  useEffect(() => {
+    if (activeRoom && activeRoom.type !== 'dm' && !roomId) rememberRecent(user.id, 'room', activeRoom.id);
+  }, [activeRoom, roomId, user.id]);
+
+  // A subject's discussion room can link any of that subject's materials
+  useEffect(() => {
+    setSubjectMaterials([]);
+    if (!subjectId) return;
+    let cancelled = false;
+    supabase.from('materials').select('id, subject_id, type, title, content').eq('subject_id', subjectId).order('position')
+      .then(({ data, error }) => {
+        if (error) console.error("Material fetch error:", error);
+        else if (!cancelled) setSubjectMaterials(data);
+      });
+    return () => { cancelled = true; };
+  }, [subjectId]);
+
+  // Pinned messages for the banner above the chat
+  useEffect(() => {
+    setPinnedMessages([]);
+    if (!isRoomJoined(activeRoom, user.id)) return;
+    let cancelled = false;
+    supabase.from('messages').select(MESSAGE_SELECT).eq('room_id', activeRoom.id).not('pinned_at', 'is', null)
+      .order('pinned_at', { ascending: false })
+      .then(({ data, error }) => {
+        if (error) console.error("Pinned messages error:", error);
+        else if (!cancelled) setPinnedMessages(data);
+      });
+    return () => { cancelled = true; };
+  }, [activeRoom, user.id]);
+
+  useEffect(() => {
+    if (!pendingAttachment?.previewUrl) return;
+    return () => URL.revokeObjectURL(pendingAttachment.previewUrl);
+  }, [pendingAttachment]);
+
+  const hasTypers = Object.keys(typers).length > 0;
+  useEffect(() => {
+    if (!hasTypers) return;
+    const prune = setInterval(() => {
+      setTypers(prev => Object.fromEntries(Object.entries(prev).filter(([, t]) => t.expiresAt > Date.now())));
+    }, 1000);
+    return () => clearInterval(prune);
+  }, [hasTypers]);
+
+  const broadcastTyping = (typing) => {
+    const channel = roomChannel.current;
+    if (!channel || !activeRoom) return;
+    const now = Date.now();
+    if (typing && now - lastTypingSent.current < TYPING_THROTTLE_MS) return;
+    if (!typing && lastTypingSent.current === 0) return;
+    lastTypingSent.current = typing ? now : 0;
+    const anonymous = activeRoom.type === 'anonymous';
+    channel.send({
+      type: 'broadcast',
+      event: 'typing',
+      payload: { key: anonymous ? typingKey.current : user.id, name: anonymous ? myPseudonym : user.name, typing }
+    });
+  };
+
+  useEffect(() => {
+    hasNewerRef.current = hasNewer;
+  }, [hasNewer]);
+
+  // Ticks when the next of the student's own messages leaves the edit window, so its
+  // edit button disappears on an idle screen too
+  const [editClock, setEditClock] = useState(() => Date.now());
+  useEffect(() => {
+    const deadlines = [...chatMessages, ...threadMessages]
+      .filter(m => authorId(m) === user.id && !m.deleted_at)
+      .map(m => new Date(m.created_at).getTime() + MESSAGE_EDIT_WINDOW_MS)
+      .filter(deadline => deadline > editClock);
+    if (deadlines.length === 0) return;
+    const timer = setTimeout(() => setEditClock(Date.now()), Math.max(0, Math.min(...deadlines) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [chatMessages, threadMessages, user.id, editClock]);
+
+  // Unread counts for every room, kept current by a room-agnostic message feed
+  useEffect(() => {
+    supabase.rpc('unread_counts').then(({ data, error }) => {
+      if (error) console.error("Unread count error:", error);
+      else {
+        setUnreadCounts(Object.fromEntries(data.map(r => [r.room_id, Number(r.unread)])));
+        setMentionCounts(Object.fromEntries(data.map(r => [r.room_id, Number(r.mentions)])));
+      }
+    });
+
+    const unreadChannel = supabase.channel(`unread:${user.id}`)
+      .on('postgres_changes', { event: 'INSERT', table: 'messages' }, payload => {
+        const msg = payload.new;
+        // Thread replies are left out, as in unread_counts()
+        if (msg.sender_id === user.id || msg.thread_id) return;
+        if (msg.room_id === activeRoomId.current && document.visibilityState === 'visible') return;
+        setUnreadCounts(prev => ({ ...prev, [msg.room_id]: (prev[msg.room_id] || 0) + 1 }));
+        if (msg.mentions?.includes(user.id)) {
+          setMentionCounts(prev => ({ ...prev, [msg.room_id]: (prev[msg.room_id] || 0) + 1 }));
+        }
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(unreadChannel);
+    };
+  }, [user.id]);
+
+  // The student's own reports, so each reported message can show its outcome
+  useEffect(() => {
+    supabase.from('message_reports').select('*').eq('reporter_id', user.id).then(({ data, error }) => {
+      if (error) console.error("Report fetch error:", error);
+      else setMyReports(Object.fromEntries(data.map(r => [r.message_id, r])));
+    });
+
+    const reportChannel = supabase.channel(`reports:${user.id}`)
+      .on('postgres_changes', { event: '*', table: 'message_reports', filter: `reporter_id=eq.${user.id}` }, payload => {
+        if (payload.eventType === 'DELETE') return;
+        setMyReports(prev => ({ ...prev, [payload.new.message_id]: payload.new }));
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(reportChannel);
+    };
+  }, [user.id]);
+
+  useEffect(() => {
+    supabase.from('room_preferences').select('*').eq('profile_id', user.id).then(({ data, error }) => {
+      if (error) console.error("Room preference error:", error);
+      else setRoomPrefs(Object.fromEntries(data.map(p => [p.room_id, p])));
+    });
+  }, [user.id]);
+
+  useEffect(() => {
+    setRoomDraft({ name: currentRoom?.name || '', topic: currentRoom?.topic || '' });
+  }, [currentRoom?.id, currentRoom?.name, currentRoom?.topic]);
+
+  // Assigned by the server, so the student can see who they appear as before posting
+  useEffect(() => {
+    setMyPseudonym(null);
+    if (activeRoom?.type !== 'anonymous') return;
+    let cancelled = false;
+    supabase.rpc('my_pseudonym', { target_room: activeRoom.id }).then(({ data, error }) => {
+      if (error) console.error("Pseudonym error:", error);
+      else if (!cancelled) setMyPseudonym(data);
+    });
+    return () => { cancelled = true; };
   }, [activeRoom]);
 
+  // An admin's own reveal requests, so approvals show up while they are in the room
   useEffect(() => {
-    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    if (!isAdmin) return;
+    supabase.from('identity_reveals').select('*').eq('requested_by', user.id).order('created_at').then(({ data, error }) => {
+      if (error) console.error("Reveal fetch error:", error);
+      else setMyReveals(Object.fromEntries(data.map(r => [r.message_id, r])));
+    });
+
+    const revealChannel = supabase.channel(`reveals:${user.id}`)
+      .on('postgres_changes', { event: '*', table: 'identity_reveals', filter: `requested_by=eq.${user.id}` }, payload => {
+        if (payload.eventType === 'DELETE') return;
+        setMyReveals(prev => ({ ...prev, [payload.new.message_id]: payload.new }));
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(revealChannel);
+    };
+  }, [isAdmin, user.id]);
+
+  // Unread DMs have reached this device, so their senders can show "delivered"
+  useEffect(() => {
+    const deliveredDMs = rooms.filter(r => r.type === 'dm' && unreadCounts[r.id] > 0).map(r => r.id);
+    if (deliveredDMs.length === 0) return;
+    supabase.rpc('mark_rooms_delivered', { target_rooms: deliveredDMs }).then(({ error }) => {
+      if (error) console.error("Delivery receipt error:", error);
+    });
+  }, [rooms, unreadCounts]);
+
+  // Mark the open room read whenever its newest message changes while the tab is visible
+  const lastMessageId = chatMessages[chatMessages.length - 1]?.id;
+  useEffect(() => {
+    if (!isRoomJoined(activeRoom, user.id) || hasNewer) return;
+    const markRead = () => {
+      if (document.visibilityState !== 'visible') return;
+      supabase.rpc('mark_room_read', { target_room: activeRoom.id }).then(({ error }) => {
+        if (error) console.error("Read receipt error:", error);
+      });
+      setUnreadCounts(prev => ({ ...prev, [activeRoom.id]: 0 }));
+      setMentionCounts(prev => ({ ...prev, [activeRoom.id]: 0 }));
+    };
+    markRead();
+    document.addEventListener('visibilitychange', markRead);
+    return () => document.removeEventListener('visibilitychange', markRead);
+  }, [activeRoom, lastMessageId, hasNewer, user.id]);
+
+  const directory = allProfiles
+    .filter(p => p.id !== user.id)
+    .sort((a, b) => {
+      if (directorySort === 'online') {
+        const rank = (PRESENCE_RANK[presence[a.id]] ?? 2) - (PRESENCE_RANK[presence[b.id]] ?? 2);
+        if (rank !== 0) return rank;
+        const seen = new Date(b.last_seen_at || 0) - new Date(a.last_seen_at || 0);
+        if (seen !== 0) return seen;
+      }
+      return a.full_name.localeCompare(b.full_name);
+    });
+
+  const otherReads = roomReads.filter(r => r.profile_id !== user.id);
+  const receiptFor = (msg) => {
+    if (authorId(msg) !== user.id) return null;
+    const sentAt = new Date(msg.created_at);
+    const seenBy = otherReads.filter(r => r.last_read_at && new Date(r.last_read_at) >= sentAt).length;
+    if (currentRoom?.type !== 'dm') return { seenBy };
+    if (seenBy > 0) return { status: 'read' };
+    return { status: otherReads.some(r => r.last_delivered_at && new Date(r.last_delivered_at) >= sentAt) ? 'delivered' : 'sent' };
+  };
+
+  // Apply the scroll position requested by whoever last changed chatMessages
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    const intent = scrollIntent.current;
+    scrollIntent.current = null;
+    if (!el || !intent) return;
+    if (intent.mode === 'bottom') el.scrollTop = el.scrollHeight;
+    else if (intent.mode === 'top') el.scrollTop = 0;
+    else if (intent.mode === 'preserve') el.scrollTop = el.scrollHeight - intent.height + intent.top;
+    else if (intent.mode === 'message') el.querySelector(`#msg-${intent.id}`)?.scrollIntoView({ block: 'center' });
   }, [chatMessages]);
 
+  // Pins, unpins and edits to pinned messages all arrive as message UPDATEs
+  const syncPin = async (row) => {
+    if (!row.pinned_at) {
+      setPinnedMessages(prev => prev.filter(m => m.id !== row.id));
+      return;
+    }
+    const { data: pinned } = await supabase.from('messages').select(MESSAGE_SELECT).eq('id', row.id).single();
+    if (!pinned || pinned.room_id !== activeRoomId.current) return;
+    setPinnedMessages(prev => [pinned, ...prev.filter(m => m.id !== pinned.id)]
+      .sort((a, b) => new Date(b.pinned_at) - new Date(a.pinned_at)));
+  };
+
+  const pinMessage = async (msg, pin) => {
+    const { error } = await supabase.rpc('pin_message', { target: msg.id, pin });
+    if (error) window.alert(error.message);
+  };
+
+  const togglePanel = (panel) => {
+    if (sidePanel !== panel) closeThread();
+    setSidePanel(sidePanel === panel ? null : panel);
+  };
+
+  // Admins search through search_messages() as well, which is the only way to match
+  // anonymous messages by their real sender or to cover every room at once.
+  const searchesBySender = isAdmin && searchFilters.sender && (searchFilters.allRooms || activeRoom?.type === 'anonymous');
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim() || !activeRoom) return;
+    const { sender, from, to, allRooms, justification } = searchFilters;
+    let until = null;
+    if (to) {
+      until = new Date(`${to}T00:00:00`);
+      until.setDate(until.getDate() + 1);
+    }
+    setSearching(true);
+    const { data, error } = await supabase.rpc('search_messages', {
+      search: searchQuery,
+      target_room: isAdmin && allRooms ? null : activeRoom.id,
+      sender: sender || null,
+      since: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+      until: until?.toISOString() ?? null,
+      justification: searchesBySender ? justification : null
+    }).select(SEARCH_SELECT);
+    setSearching(false);
+    if (error) {
+      console.error("Search error:", error);
+      return window.alert(error.message);
+    }
+    setSearchResults({ terms: searchTerms(searchQuery), messages: data || [] });
+  };
+
+  const openSearchResult = (msg) => {
+    // The panel covers the chat on small screens
+    if (window.matchMedia('(max-width: 767px)').matches) setSidePanel(null);
+    if (msg.room_id === activeRoom?.id) return jumpToMessage(msg.id);
+    const room = rooms.find(r => r.id === msg.room_id);
+    if (!room) return;
+    pendingJumpId.current = msg.id;
+    setActiveRoom(room);
+  };
+
+  const closeThread = () => {
+    openThreadId.current = null;
+    setThreadRoot(null);
+    setThreadMessages([]);
+    setThreadInput('');
+    setThreadError('');
+    setEditingReply(null);
+  };
+
+  // Replies are edited in the thread composer, which covers the main one on small screens
+  const startReplyEdit = (msg) => {
+    setEditingReply(msg);
+    setThreadInput(msg.content);
+    setThreadError('');
+  };
+
+  const cancelReplyEdit = () => {
+    setEditingReply(null);
+    setThreadInput('');
+    setThreadError('');
+  };
+
+  const sendThreadReply = async (e) => {
+    e.preventDefault();
+    if (!threadInput.trim() || !threadRoot) return;
+    const content = threadInput;
+    setThreadError('');
+    if (editingReply) {
+      const { data, error } = await supabase.rpc('edit_message', { target: editingReply.id, new_content: content });
+      if (error) { setThreadError(error.message); return; }
+      applyMessageUpdate(data);
+      cancelReplyEdit();
+      return;
+    }
+    setThreadInput('');
+    const { error } = await supabase.from('messages').insert([
+      { room_id: activeRoom.id, sender_id: user.id, content, is_anonymous: activeRoom.type === 'anonymous', thread_id: threadRoot.id }
+    ]);
+    if (error) {
+      setThreadInput(content);
+      setThreadError(error.message);
+    }
+  };
+
+  const loadPage = async (direction) => {
+    if (pageLoading.current || !activeRoom || chatMessages.length === 0) return;
+    pageLoading.current = true;
+    const roomId = activeRoom.id;
+    const page = direction === 'older'
+      ? await fetchMessagePage(roomId, { before: chatMessages[0] })
+      : await fetchMessagePage(roomId, { after: chatMessages[chatMessages.length - 1] });
+    pageLoading.current = false;
+    if (roomId !== activeRoomId.current) return;
+
+    const full = page.length === MESSAGE_PAGE_SIZE;
+    if (direction === 'older') {
+      // Keep the message the student was reading in place while the pane grows above it
+      const el = scrollRef.current;
+      scrollIntent.current = { mode: 'preserve', height: el.scrollHeight, top: el.scrollTop };
+      setChatMessages(prev => [...page, ...prev]);
+      setHasOlder(full);
+    } else {
+      setChatMessages(prev => [...prev, ...page]);
+      setHasNewer(full);
+    }
+  };
+
+  const handleScroll = (e) => {
+    const el = e.currentTarget;
+    if (hasOlder && el.scrollTop < 80) loadPage('older');
+    else if (hasNewer && el.scrollHeight - el.scrollTop - el.clientHeight < 80) loadPage('newer');
+  };
+
+  const jumpToDate = async (day) => {
+    if (!day || !activeRoom) return;
+    const page = await fetchMessagePage(activeRoom.id, { from: new Date(`${day}T00:00:00`).toISOString() });
+    if (page.length === 0) {
+      // Nothing on or after that day, so the latest messages are the closest match
+      return jumpToLatest();
+    }
+    scrollIntent.current = { mode: 'top' };
+    setChatMessages(page);
+    setHasOlder(true);
+    setHasNewer(page.length === MESSAGE_PAGE_SIZE);
+  };
+
+  const jumpToLatest = async () => {
+    if (!activeRoom) return;
+    const page = await fetchMessagePage(activeRoom.id);
+    scrollIntent.current = { mode: 'bottom' };
+    setChatMessages(page);
+    setHasOlder(page.length === MESSAGE_PAGE_SIZE);
+    setHasNewer(false);
+  };
+
+  const applyMessageUpdate = (updated) => {
+    const merge = prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m);
+    setChatMessages(merge);
+    setThreadMessages(merge);
+  };
+
+  const startEdit = (msg) => {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInputText(msg.content);
+  };
+
+  const cancelEdit = () => {
+    setEditingMessage(null);
+    setInputText('');
+    setComposerError('');
+  };
+
+  const deleteMessage = async (msg) => {
+    const prompt = authorId(msg) === user.id ? 'Delete this message?' : 'Remove this message as a moderator?';
+    if (!window.confirm(prompt)) return;
+    const { data, error } = await supabase.rpc('delete_message', { target: msg.id });
+    if (error) { window.alert(error.message); return; }
+    await removeAttachment(msg.attachment);
+    applyMessageUpdate(data);
+    if (editingMessage?.id === msg.id) cancelEdit();
+  };
+
+  const toggleHistory = async (msg) => {
+    if (messageHistory.id === msg.id) {
+      setMessageHistory({ id: null, edits: [] });
+      return;
+    }
+    const { data, error } = await supabase.from('message_edits').select('*').eq('message_id', msg.id).order('edited_at');
+    if (error) { window.alert(error.message); return; }
+    setMessageHistory({ id: msg.id, edits: data });
+  };
+
+  const submitReport = async (reason, details) => {
+    const { data, error } = await supabase.from('message_reports').insert([
+      { message_id: reportingMessage.id, reporter_id: user.id, reason, details: details.trim() || null }
+    ]).select().single();
+    if (error) return error.code === '23505' ? 'You have already reported this message.' : error.message;
+    setMyReports(prev => ({ ...prev, [data.message_id]: data }));
+    setReportingMessage(null);
+    return null;
+  };
+
+  const showIdentity = async (reveal) => {
+    const { data, error } = await supabase.rpc('reveal_identity', { target: reveal.id });
+    if (error) { window.alert(error.message); return; }
+    if (data[0]) setRevealedIdentities(prev => ({ ...prev, [reveal.message_id]: data[0] }));
+  };
+
+  const openReveal = (msg) => {
+    const reveal = myReveals[msg.id];
+    if (reveal?.status === 'approved') showIdentity(reveal);
+    else setRevealTarget(msg);
+  };
+
+  const requestReveal = async (justification) => {
+    const { data: reveal, error } = await supabase.rpc('request_reveal', { target: revealTarget.id, justification });
+    if (error) return error.message;
+    setMyReveals(prev => ({ ...prev, [reveal.message_id]: reveal }));
+    setRevealTarget(null);
+    if (reveal.status === 'approved') await showIdentity(reveal);
+    return null;
+  };
+
+  const canEditMessage = (msg) => authorId(msg) === user.id && !msg.deleted_at
+    && editClock - new Date(msg.created_at) < MESSAGE_EDIT_WINDOW_MS;
+
+  const profileNames = Object.fromEntries(allProfiles.map(p => [p.id, p.full_name]));
+  // Private rooms only suggest people who can read them; the insert trigger drops anyone else
+  const mentionable = currentRoom?.is_private
+    ? allProfiles.filter(p => currentRoom.room_members?.some(m => m.profile_id === p.id && m.role !== 'invited'))
+    : allProfiles;
+  const mentionSuggestions = mentionQuery === null || editingMessage ? [] : mentionable
+    .filter(p => p.id !== user.id && p.full_name?.toLowerCase().includes(mentionQuery.toLowerCase()))
+    .slice(0, MENTION_SUGGESTION_LIMIT);
+
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setInputText(value);
+    if (composerError) setComposerError('');
+    const match = value.slice(0, e.target.selectionStart).match(MENTION_QUERY);
+    setMentionQuery(match ? match[1] : null);
+    setMentionIndex(0);
+    if (!editingMessage) broadcastTyping(value.trim().length > 0);
+  };
+
+  const insertMention = (profile) => {
+    const el = inputRef.current;
+    const caret = el.selectionStart;
+    const before = inputText.slice(0, caret).replace(/@[^\s@]*$/, () => `@${profile.full_name} `);
+    setInputText(before + inputText.slice(caret));
+    setDraftMentions(prev => prev.some(m => m.id === profile.id) ? prev : [...prev, { id: profile.id, name: profile.full_name }]);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex(i => (i + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMentionQuery(null);
+        return;
+      }
+    }
+    if (e.key !== 'Escape') return;
+    if (editingMessage) cancelEdit();
+    else setReplyingTo(null);
+  };
+
+  // Validation here is for quick feedback; the bucket enforces the same limits
+  const pickAttachment = async (file) => {
+    if (!file) return;
+    setComposerError('');
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      setComposerError('That file type is not supported. Share images, PDFs, Office documents or text files.');
+      return;
+    }
+    let prepared = file;
+    if (activeRoom?.type === 'anonymous') {
+      if (!file.type.startsWith('image/')) {
+        setComposerError('Only images can be shared in anonymous rooms, so their metadata can be removed.');
+        return;
+      }
+      try {
+        prepared = await stripImageMetadata(file);
+      } catch (err) {
+        console.error("Image processing error:", err);
+        setComposerError('That image could not be processed.');
+        return;
+      }
+    }
+    if (prepared.size > ATTACHMENT_MAX_BYTES) {
+      setComposerError(`Files must be ${formatBytes(ATTACHMENT_MAX_BYTES)} or smaller.`);
+      return;
+    }
+    setPendingAttachment({
+      file: prepared,
+      previewUrl: prepared.type.startsWith('image/') ? URL.createObjectURL(prepared) : null
+    });
+  };
+
+  const uploadAttachment = async (file) => {
+    const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : 'bin';
+    // Random names keep the uploader out of the path, which matters in anonymous rooms
+    const path = `${activeRoom.id}/${crypto.randomUUID()}.${ext}`;
+    setUploadProgress(0);
+    const { error } = await uploadWithProgress(ATTACHMENT_BUCKET, path, file, setUploadProgress);
+    setUploadProgress(null);
+    if (error) {
+      console.error("Attachment upload error:", error);
+      setComposerError(`Upload failed: ${error.message}`);
+      return null;
+    }
+    return { path, name: file.name, mime: file.type, size: file.size };
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
-    if (!inputText.trim() || !activeRoom) return;
+    if (uploadProgress !== null || !activeRoom) return;
+    if (!inputText.trim() && !(!editingMessage && (pendingAttachment || draftMaterial))) return;
     const content = inputText;
+
+    if (editingMessage) {
+      setComposerError('');
+      const { data, error } = await supabase.rpc('edit_message', { target: editingMessage.id, new_content: content });
+      if (error) { setComposerError(error.message); return; }
+      applyMessageUpdate(data);
+      cancelEdit();
+      return;
+    }
+
+    const quoted = replyingTo;
+    const pending = pendingAttachment;
+    const picked = draftMentions;
+    const material = draftMaterial;
+    // Drop picks whose "@Name" was edited out before sending
+    const mentions = picked.filter(m => content.includes(`@${m.name}`)).map(m => m.id);
+    let attachment = null;
+    setComposerError('');
+    if (pending) {
+      attachment = await uploadAttachment(pending.file);
+      if (!attachment) return;
+    }
+
     setInputText('');
+    setReplyingTo(null);
+    setPendingAttachment(null);
+    setDraftMentions([]);
+    setDraftMaterial(null);
+    setMentionQuery(null);
+    broadcastTyping(false);
+    if (hasNewer) await jumpToLatest();
     const { error } = await supabase.from('messages').insert([
-      { room_id: activeRoom.id, sender_id: user.id, content: content, is_anonymous: activeRoom.type === 'anonymous' }
+      { room_id: activeRoom.id, sender_id: user.id, content: content, is_anonymous: activeRoom.type === 'anonymous', reply_to_id: quoted?.id ?? null, attachment, mentions, material_id: material?.id ?? null }
     ]);
-    if (error) setInputText(content);
+    if (error) {
+      setComposerError(error.message);
+      setInputText(content);
+      setReplyingTo(quoted);
+      setDraftMentions(picked);
+      setDraftMaterial(material);
+      if (pending) setPendingAttachment({ file: pending.file, previewUrl: pending.previewUrl && URL.createObjectURL(pending.file) });
+    }
   };
 
-  const startDM = async (targetProfile) => {
-    const roomName = [user.id, targetProfile.id].sort().join(':');
-    const { data: existing } = await supabase.from('rooms').select('*').eq('name', roomName).single();
-    if (existing) {
-      setActiveRoom(existing);
-    } else {
-      const { data: newRoom } = await supabase.from('rooms').insert([{ name: roomName, type: 'dm' }]).select().single();
-      if (newRoom) setActiveRoom(newRoom);
-    }
+  // Re-read the rooms list so the opened room carries its roster
+  const openRoom = useCallback(async (room) => {
+    const list = await refreshRooms();
+    setActiveRoom(list.find(r => r.id === room.id) || room);
+  }, [refreshRooms]);
+
+  // Also opened from the command palette effect below, hence useCallback
+  const startDM = useCallback(async (targetProfile) => {
+    const { data: room, error } = await supabase.rpc('open_dm', { other_profile: targetProfile.id });
+    if (error) { window.alert(error.message); return; }
+    rememberRecent(user.id, 'student', targetProfile.id);
+    await openRoom(room);
     setSearchUser('');
     setSidebarTab('rooms');
+  }, [user.id, openRoom]);
+
+  // Sent by the command palette. The state is consumed once and cleared, so a later
+  // rooms refresh (or a reload) does not reopen the room; a room the list does not
+  // hold yet waits for it to load.
+  useEffect(() => {
+    if (roomId || !location.state || handledPaletteKey.current === location.key) return;
+    const { openRoom: targetRoom, openDM } = location.state;
+    if (targetRoom) {
+      const room = rooms.find(r => r.id === targetRoom);
+      if (!room) return;
+      setActiveRoom(room);
+      setMobileShowChat(true);
+    }
+    if (openDM) startDM({ id: openDM }).then(() => setMobileShowChat(true));
+    handledPaletteKey.current = location.key;
+    navigate(location.pathname, { replace: true, state: null });
+  }, [roomId, location, rooms, startDM, navigate]);
+
+  const createPrivateRoom = async (e) => {
+    e.preventDefault();
+    if (!newRoomName.trim()) return;
+    const { data: room, error } = await supabase.rpc('create_private_room', { room_name: newRoomName });
+    if (error) { window.alert(error.message); return; }
+    setNewRoomName('');
+    setShowNewRoom(false);
+    await openRoom(room);
+    setMobileShowChat(true);
+  };
+
+  const inviteToRoom = async (profile) => {
+    const { error } = await supabase.from('room_members').insert([
+      { room_id: currentRoom.id, profile_id: profile.id, role: 'invited', invited_by: user.id }
+    ]);
+    if (error) { window.alert(error.code === '23505' ? `${profile.full_name} is already in this room.` : error.message); return; }
+    await refreshRooms();
+  };
+
+  const respondToInvite = async (room, accept) => {
+    const membership = supabase.from('room_members');
+    const { error } = accept
+      ? await membership.update({ role: 'member' }).eq('room_id', room.id).eq('profile_id', user.id)
+      : await membership.delete().eq('room_id', room.id).eq('profile_id', user.id);
+    if (error) { window.alert(error.message); return; }
+    if (accept) await openRoom(room);
+    else await refreshRooms();
+  };
+
+  const saveRoomDetails = async (e) => {
+    e.preventDefault();
+    const { error } = await supabase.rpc('update_room', { target_room: currentRoom.id, room_name: roomDraft.name, room_topic: roomDraft.topic });
+    if (error) { window.alert(error.message); return; }
+    await refreshRooms();
+  };
+
+  // Optimistic; the row is created the first time either setting changes
+  const setRoomPref = async (room, changes) => {
+    const previous = roomPrefs[room.id];
+    const next = { muted: false, pinned: false, ...previous, ...changes, room_id: room.id, profile_id: user.id };
+    setRoomPrefs(prev => ({ ...prev, [room.id]: next }));
+    const { error } = await supabase.from('room_preferences').upsert(next);
+    if (error) {
+      console.error("Room preference error:", error);
+      setRoomPrefs(prev => ({ ...prev, [room.id]: previous }));
+      window.alert(error.message);
+    }
+  };
+
+  const leaveRoom = async () => {
+    const label = currentRoom.type === 'dm' ? 'Hide this conversation? It comes back if either of you opens it again.' : `Leave ${currentRoom.name}?`;
+    if (!window.confirm(label)) return;
+    const { error } = await supabase.rpc('leave_room', { target_room: currentRoom.id });
+    if (error) { window.alert(error.message); return; }
+    await refreshRooms();
+    setSidePanel(null);
+    setActiveRoom(null);
+    setMobileShowChat(false);
   };
 
   useEffect(() => {
     if (searchUser.length > 2) {
-      supabase.from('profiles').select('*').ilike('full_name', `%${searchUser}%`).limit(5)
-        .then(({ data }) => setAllProfiles(data || []));
+      supabase.from('profiles').select('*').ilike('full_name', `%${searchUser}%`).neq('id', user.id).limit(5)
+        .then(({ data }) => setAvailableProfiles(data || []));
     } else {
-      setAllProfiles([]);
+      setAvailableProfiles([]);
     }
-  }, [searchUser]);
+  }, [searchUser, user.id]);
 
   return (
     <div className="flex h-full gap-4 overflow-hidden relative">
       {/* Room Selection Sidebar */}
       <div className={cn(
         "w-full md:w-80 flex flex-col gap-4 transition-all duration-300",
-        mobileShowChat ? "hidden md:flex" : "flex"
+        mobileShowChat ? "hidden md:flex" : "flex",
+        roomId && "hidden md:hidden"
       )}>
         <GlassCard className="p-2 flex gap-1 bg-white/5 rounded-2xl shrink-0">
           <button onClick={() => setSidebarTab('rooms')} className={cn("flex-1 py-2 px-4 rounded-xl text-xs font-bold transition-all", sidebarTab === 'rooms' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:text-white")}>
@@ -839,8 +2702,38 @@ function ChatPortal() {
             </GlassCard>
 
             <div className="flex-1 overflow-y-auto space-y-2 custom-scrollbar pr-2">
-              {rooms.map(room => {
-                const hasUnread = chatMessages.some(m => m.room_id === room.id && !m.is_read && m.sender_id !== user.id);
+              {invitations.map(room => (
+                <div key={room.id} className="p-4 rounded-2xl flex items-center gap-4 border border-purple-500/30 bg-purple-600/10">
+                  <div className="w-12 h-12 rounded-xl flex items-center justify-center shrink-0 bg-purple-600/20 text-purple-400">
+                    <UserPlus size={24} />
+                  </div>
+                  <div className="flex-1 overflow-hidden">
+                    <h4 className="font-medium text-sm truncate">{room.name}</h4>
+                    <p className="text-xs text-slate-500 truncate">Invitation to join</p>
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    <button onClick={() => respondToInvite(room, true)} className="p-2 rounded-lg text-green-400 hover:bg-green-500/10 transition-colors"><Check size={16} /></button>
+                    <button onClick={() => respondToInvite(room, false)} className="p-2 rounded-lg text-red-400 hover:bg-red-500/10 transition-colors"><Plus size={16} className="rotate-45" /></button>
+                  </div>
+                </div>
+              ))}
+
+              {showNewRoom ? (
+                <form onSubmit={createPrivateRoom} className="p-3 rounded-2xl bg-white/5 border border-white/10 flex gap-2">
+                  <input autoFocus placeholder="Group name" className="glass-input flex-1 py-2 text-sm" value={newRoomName} onChange={(e) => setNewRoomName(e.target.value)} />
+                  <button type="submit" className="px-3 rounded-xl bg-blue-600 text-white text-xs font-bold">CREATE</button>
+                  <button type="button" onClick={() => { setShowNewRoom(false); setNewRoomName(''); }} className="px-2 text-slate-400 hover:text-white"><Plus size={16} className="rotate-45" /></button>
+                </form>
+              ) : (
+                <button onClick={() => setShowNewRoom(true)} className="w-full p-3 rounded-2xl border border-dashed border-white/10 text-xs font-bold text-slate-400 hover:text-white hover:bg-white/5 flex items-center justify-center gap-2 transition-all">
+                  <Plus size={14} /> NEW PRIVATE GROUP
+                </button>
+              )}
+
+              {joinedRooms.map(room => {
+                const unread = unreadCounts[room.id] || 0;
+                const mentioned = mentionCounts[room.id] || 0;
+                const prefs = roomPrefs[room.id];
                 return (
                   <div key={room.id}
                     onClick={() => {
@@ -849,14 +2742,29 @@ function ChatPortal() {
                     }}
                     className={cn("p-4 rounded-2xl flex items-center gap-4 cursor-pointer transition-all border relative group", activeRoom?.id === room.id ? "bg-blue-600/20 border-blue-500/30" : "bg-white/5 border-transparent hover:bg-white/10")}>
                     <div className={cn("w-12 h-12 rounded-xl flex items-center justify-center shrink-0", room.type === 'anonymous' ? "bg-purple-600/20 text-purple-400" : "bg-blue-600/20 text-blue-400")}>
-                      {room.type === 'anonymous' ? <Ghost size={24} /> : room.type === 'dm' ? <User size={24} /> : <Hash size={24} />}
+                      {room.type === 'anonymous' ? <Ghost size={24} /> : room.type === 'dm' ? <User size={24} /> : room.is_private ? <Lock size={24} /> : <Hash size={24} />}
                     </div>
                     <div className="flex-1 overflow-hidden">
-                      <h4 className="font-medium text-sm truncate">{room.name.includes(':') ? room.name.split(':').filter(id => id !== user.id).map(id => allProfiles.find(p => p.id === id)?.full_name || 'Chat').join(', ') : room.name}</h4>
-                      <p className="text-xs text-slate-500 truncate">{hasUnread ? "New messages" : "Tap to open"}</p>
+                      <h4 className="font-medium text-sm flex items-center gap-1.5">
+                        <span className="truncate">{room.name.includes(':') ? room.name.split(':').filter(id => id !== user.id).map(id => allProfiles.find(p => p.id === id)?.full_name || 'Chat').join(', ') : room.name}</span>
+                        {prefs?.pinned && <Pin size={12} className="text-blue-400 shrink-0" />}
+                        {prefs?.muted && <BellOff size={12} className="text-slate-500 shrink-0" />}
+                      </h4>
+                      <p className={cn("text-xs truncate", mentioned > 0 ? "text-amber-400" : "text-slate-500")}>
+                        {mentioned > 0
+                          ? `You were mentioned${mentioned > 1 ? ` ${mentioned} times` : ''}`
+                          : unread > 0 ? `${unread} new ${unread === 1 ? 'message' : 'messages'}` : "Tap to open"}
+                      </p>
                     </div>
-                    {hasUnread && (
-                      <div className="w-2.5 h-2.5 bg-green-500 rounded-full shadow-[0_0_10px_rgba(34,197,94,0.6)] animate-pulse" />
+                    {mentioned > 0 && (
+                      <div className="h-5 px-1.5 bg-amber-500 text-[10px] font-bold text-white rounded-full flex items-center justify-center shadow-[0_0_10px_rgba(245,158,11,0.6)]">
+                        @{mentioned > 9 ? '9+' : mentioned}
+                      </div>
+                    )}
+                    {unread > 0 && (
+                      <div className={cn("min-w-[20px] h-5 px-1.5 text-[10px] font-bold text-white rounded-full flex items-center justify-center", prefs?.muted ? "bg-slate-600" : "bg-green-500 shadow-[0_0_10px_rgba(34,197,94,0.6)]")}>
+                        {unread > 99 ? '99+' : unread}
+                      </div>
                     )}
                   </div>
                 );
@@ -865,19 +2773,50 @@ function ChatPortal() {
           </div>
         ) : (
           <div className="flex-1 overflow-y-auto space-y-2 custom-scrollbar pr-2">
-            {allProfiles.filter(p => p.id !== user.id).map(profile => (
+            {canInvite && (
+              <div className="px-4 py-2 rounded-xl bg-blue-600/10 border border-blue-500/20 text-[10px] font-bold text-blue-300 uppercase tracking-widest truncate">
+                Inviting to {currentRoom.name}
+              </div>
+            )}
+            <div className="flex items-center justify-between px-2">
+              <span className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+                {Object.entries(presence).filter(([id, status]) => id !== user.id && status === 'online').length} online
+              </span>
+              <div className="flex gap-1">
+                {[['online', 'Online first'], ['name', 'A–Z']].map(([key, label]) => (
+                  <button key={key} onClick={() => setDirectorySort(key)} className={cn("px-2 py-1 rounded-lg text-[10px] font-bold transition-all", directorySort === key ? "bg-white/10 text-white" : "text-slate-500 hover:text-white")}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {directory.map(profile => (
               <div key={profile.id} onClick={() => startDM(profile)} className="p-3 rounded-2xl flex items-center gap-4 bg-white/5 border border-transparent hover:bg-white/10 cursor-pointer transition-all">
                 <div className="relative">
                   <div className="w-10 h-10 rounded-full bg-blue-600/20 flex items-center justify-center font-bold text-blue-400">
                     {profile.full_name[0]}
                   </div>
-                  <div className={cn("absolute bottom-0 right-0 w-3 h-3 rounded-full border-2 border-[#050510]", profile.is_online ? "bg-green-500" : "bg-slate-600")} />
+                  <div className={cn("absolute bottom-0 right-0 w-3 h-3 rounded-full border-2 border-[#050510]", presence[profile.id] === 'online' ? "bg-green-500" : presence[profile.id] === 'away' ? "bg-amber-400" : "bg-slate-600")} />
                 </div>
                 <div className="flex-1 overflow-hidden">
                   <h4 className="text-sm font-medium text-white truncate">{profile.full_name}</h4>
-                  <p className="text-[10px] text-slate-500 truncate">{profile.is_online ? "Active Now" : "Offline"}</p>
+                  <p className="text-[10px] text-slate-500 truncate">{presence[profile.id] === 'online' ? "Active Now" : presence[profile.id] === 'away' ? "Away" : formatLastSeen(profile.last_seen_at)}</p>
                 </div>
-                <UserPlus size={16} className="text-slate-600" />
+                {!canInvite ? (
+                  <UserPlus size={16} className="text-slate-600" />
+                ) : myRoomRole(currentRoom, profile.id) ? (
+                  <span className="text-[9px] font-bold text-slate-500 uppercase tracking-widest">
+                    {myRoomRole(currentRoom, profile.id) === 'invited' ? 'Invited' : 'Member'}
+                  </span>
+                ) : (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); inviteToRoom(profile); }}
+                    title={`Invite to ${currentRoom.name}`}
+                    className="p-2 rounded-lg text-blue-400 hover:bg-blue-500/10 transition-colors"
+                  >
+                    <UserPlus size={16} />
+                  </button>
+                )}
               </div>
             ))}
           </div>
@@ -893,86 +2832,671 @@ function ChatPortal() {
           <div className="flex items-center gap-3">
             <button
               onClick={() => setMobileShowChat(false)}
-              className="md:hidden p-2 -ml-2 text-slate-400 hover:text-white"
+              className={cn("md:hidden p-2 -ml-2 text-slate-400 hover:text-white", roomId && "hidden")}
             >
               <ArrowLeft size={20} />
             </button>
             <div className={cn("w-10 h-10 rounded-full flex items-center justify-center", activeRoom?.type === 'anonymous' ? "bg-purple-600/20" : "bg-blue-600/20")}>
               {activeRoom?.type === 'anonymous' ? <Ghost size={20} className="text-purple-400" /> : <Hash size={20} className="text-blue-400" />}
             </div>
-            <div>
-              <h4 className="font-bold text-sm">
+            <div onClick={() => activeRoom && togglePanel('settings')} className="cursor-pointer min-w-0">
+              <h4 className="font-bold text-sm flex items-center gap-1.5">
                 {activeRoom?.type === 'dm'
                   ? activeRoom.name.split(':').filter(id => id !== user.id).map(id => allProfiles.find(p => p.id === id)?.full_name || 'Student').join(', ')
-                  : activeRoom?.name}
+                  : currentRoom?.name}
+                {roomPrefs[activeRoom?.id]?.muted && <BellOff size={12} className="text-slate-500" />}
               </h4>
-              <span className="text-[10px] text-green-400 flex items-center gap-1">
-                <span className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse" /> Live Room
-              </span>
+              {hasTypers ? (
+                <span className="text-[10px] text-blue-300 italic">{describeTypers(typers)}</span>
+              ) : currentRoom?.topic ? (
+                <span className="text-[10px] text-slate-400 block truncate max-w-xs">{currentRoom.topic}</span>
+              ) : (
+                <span className="text-[10px] text-green-400 flex items-center gap-1">
+                  <span className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse" /> Live Room
+                </span>
+              )}
             </div>
           </div>
           <div className="flex gap-2 items-center">
-            {isAdmin && activeRoom?.type === 'anonymous' && (
-              <Button
-                onClick={() => setShowRealNames(!showRealNames)}
-                variant="secondary"
-                className="text-[10px] py-1 px-3"
+            <div
+              onClick={() => dateInputRef.current?.showPicker ? dateInputRef.current.showPicker() : dateInputRef.current?.focus()}
+              title="Jump to date"
+              className="w-8 h-8 rounded-full hover:bg-white/10 flex items-center justify-center cursor-pointer transition-colors relative"
+            >
+              <CalendarDays size={16} />
+              <input
+                ref={dateInputRef}
+                type="date"
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={(e) => jumpToDate(e.target.value)}
+                className="absolute inset-0 opacity-0 pointer-events-none"
+                tabIndex={-1}
+              />
+            </div>
+            <div
+              onClick={() => togglePanel('search')}
+              title="Search messages"
+              className={cn("w-8 h-8 rounded-full hover:bg-white/10 flex items-center justify-center cursor-pointer transition-colors", sidePanel === 'search' && "bg-white/10 text-blue-400")}
+            >
+              <Search size={16} />
+            </div>
+            <div
+              onClick={() => togglePanel('settings')}
+              title={currentRoom?.type === 'dm' ? "Profile and settings" : "Room settings"}
+              className={cn("w-8 h-8 rounded-full hover:bg-white/10 flex items-center justify-center cursor-pointer transition-colors", sidePanel === 'settings' && "bg-white/10 text-blue-400")}
+            >
+              <Settings size={16} />
+            </div>
+          </div>
+        </div>
+
+        {pinnedMessages.length > 0 && (
+          <div className="border-b border-white/5 bg-amber-500/5">
+            <div className="px-4 py-2 flex items-center gap-3">
+              <Pin size={14} className="text-amber-400 shrink-0" />
+              {pinsCollapsed ? (
+                <button onClick={() => setPinsCollapsed(false)} className="flex-1 text-left text-xs text-slate-400 hover:text-white">
+                  {pinnedMessages.length} pinned {pinnedMessages.length === 1 ? 'message' : 'messages'}
+                </button>
+              ) : (
+                <button onClick={() => jumpToMessage(pinnedMessages[0].id)} className="flex-1 min-w-0 text-left">
+                  <span className="block text-[9px] font-bold text-amber-400 uppercase tracking-widest">{senderLabel(pinnedMessages[0])}</span>
+                  <span className="block text-xs text-slate-200 truncate">{pinnedMessages[0].content || pinnedMessages[0].attachment?.name}</span>
+                </button>
+              )}
+              {!pinsCollapsed && (
+                <button onClick={() => setShowAllPins(!showAllPins)} className="text-[10px] font-bold text-amber-400 hover:text-amber-300 shrink-0">
+                  {showAllPins ? 'Hide list' : `View all pinned (${pinnedMessages.length})`}
+                </button>
+              )}
+              <button
+                onClick={() => { setPinsCollapsed(!pinsCollapsed); setShowAllPins(false); }}
+                title={pinsCollapsed ? "Show pinned" : "Collapse"}
+                className="p-1 rounded-lg text-slate-400 hover:text-white hover:bg-white/10 shrink-0"
               >
-                {showRealNames ? "Hide Real Names" : "Reveal Names"}
-              </Button>
+                <ChevronDown size={14} className={cn("transition-transform", !pinsCollapsed && "rotate-180")} />
+              </button>
+            </div>
+            {showAllPins && (
+              <div className="max-h-60 overflow-y-auto custom-scrollbar px-4 pb-3 space-y-1">
+                {pinnedMessages.map(pin => (
+                  <div key={pin.id} className="flex items-center gap-2 p-2 rounded-xl hover:bg-white/5">
+                    <button onClick={() => { setShowAllPins(false); jumpToMessage(pin.id); }} className="flex-1 min-w-0 text-left">
+                      <span className="block text-[9px] text-slate-500">
+                        <span className="font-bold uppercase tracking-widest">{senderLabel(pin)}</span>
+                        {' · '}{new Date(pin.created_at).toLocaleDateString([], { month: 'short', day: 'numeric' })}
+                      </span>
+                      <span className="block text-xs text-slate-200 truncate">{pin.content || pin.attachment?.name}</span>
+                    </button>
+                    {canPin && (
+                      <button onClick={() => pinMessage(pin, false)} title="Unpin" className="p-1.5 rounded-lg text-slate-500 hover:text-amber-400 hover:bg-white/10 shrink-0">
+                        <PinOff size={12} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
             )}
-            <div className="w-8 h-8 rounded-full hover:bg-white/10 flex items-center justify-center cursor-pointer transition-colors"><Search size={16} /></div>
-            <div className="w-8 h-8 rounded-full hover:bg-white/10 flex items-center justify-center cursor-pointer transition-colors"><Settings size={16} /></div>
           </div>
-        </div>
+        )}
 
-        <div ref={scrollRef} className="flex-1 overflow-y-auto p-6 space-y-6 custom-scrollbar">
+        <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-6 space-y-6 custom-scrollbar">
           {(!activeRoom || chatMessages.length === 0) && (
             <div className="h-full flex items-center justify-center text-slate-500 text-sm italic">
               {!activeRoom ? "Select a room to start chatting" : "No messages yet."}
             </div>
           )}
-          {activeRoom && chatMessages.map(msg => (
-            <ChatMessage
-              key={msg.id}
-              message={msg}
-              isMe={msg.sender_id === user.id}
-              showRealNames={showRealNames}
-              isAdmin={isAdmin}
-            />
+          {activeRoom && chatMessages.length > 0 && (
+            <div className="text-center text-[10px] text-slate-500 uppercase tracking-widest">
+              {hasOlder ? "Scroll up for earlier messages" : "Beginning of conversation"}
+            </div>
+          )}
+          {activeRoom && chatMessages.map((msg, i) => (
+            <React.Fragment key={msg.id}>
+              {(i === 0 || !isSameDay(chatMessages[i - 1].created_at, msg.created_at)) && (
+                <div className="flex items-center gap-3 text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+                  <div className="flex-1 h-px bg-white/5" />
+                  {new Date(msg.created_at).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                  <div className="flex-1 h-px bg-white/5" />
+                </div>
+              )}
+              <ChatMessage
+                message={msg}
+                isMe={authorId(msg) === user.id}
+                isAdmin={isAdmin}
+                receipt={receiptFor(msg)}
+                canEdit={canEditMessage(msg)}
+                onEdit={startEdit}
+                onDelete={deleteMessage}
+                history={messageHistory.id === msg.id ? messageHistory.edits : null}
+                onToggleHistory={toggleHistory}
+                onReply={(m) => { setEditingMessage(null); setReplyingTo(m); }}
+                onOpenThread={openThread}
+                onJumpTo={jumpToMessage}
+                onOpenImage={setLightboxImage}
+                highlighted={highlightedId === msg.id}
+                mentionNames={msg.mentions?.map(id => profileNames[id]).filter(Boolean)}
+                mentionsMe={msg.mentions?.includes(user.id)}
+                onReport={setReportingMessage}
+                myReport={myReports[msg.id]}
+                onReveal={openReveal}
+                reveal={myReveals[msg.id]}
+                revealedIdentity={revealedIdentities[msg.id]}
+                onPin={canPin ? pinMessage : undefined}
+                onPlayVideo={setPlayingVideo}
+              />
+            </React.Fragment>
           ))}
         </div>
 
-        <form onSubmit={sendMessage} className="p-4 bg-white/5 border-t border-white/5 flex gap-3">
+        {hasNewer && (
+          <button
+            onClick={jumpToLatest}
+            className="absolute bottom-24 left-1/2 -translate-x-1/2 px-4 py-2 rounded-full bg-blue-600 text-white text-[10px] font-bold tracking-widest shadow-lg shadow-blue-500/30 flex items-center gap-2 z-10"
+          >
+            <ArrowDown size={14} /> BACK TO LATEST
+          </button>
+        )}
+
+        {replyingTo && (
+          <div className="px-4 py-2 bg-blue-600/10 border-t border-blue-500/20 flex items-center justify-between gap-3 text-[11px]">
+            <span className="text-blue-300 flex items-center gap-2 min-w-0">
+              <Reply size={12} className="shrink-0" />
+              <span className="font-bold shrink-0">{senderLabel(replyingTo)}</span>
+              <span className="truncate text-slate-400">{replyingTo.content || replyingTo.attachment?.name}</span>
+            </span>
+            <button type="button" onClick={() => setReplyingTo(null)} className="text-slate-400 hover:text-white shrink-0">Cancel</button>
+          </div>
+        )}
+        {editingMessage && (
+          <div className="px-4 py-2 bg-blue-600/10 border-t border-blue-500/20 flex items-center justify-between text-[11px]">
+            <span className="text-blue-300 font-bold flex items-center gap-2 truncate"><Pencil size={12} /> Editing message</span>
+            <button type="button" onClick={cancelEdit} className="text-slate-400 hover:text-white">Cancel</button>
+          </div>
+        )}
+        {pendingAttachment && (
+          <div className="px-4 py-2 bg-white/5 border-t border-white/5 flex items-center gap-3">
+            {pendingAttachment.previewUrl ? (
+              <img src={pendingAttachment.previewUrl} alt="" className="w-10 h-10 rounded-lg object-cover shrink-0" />
+            ) : (
+              <div className="w-10 h-10 rounded-lg bg-white/5 flex items-center justify-center shrink-0"><FileText size={18} className="text-slate-400" /></div>
+            )}
+            <div className="flex-1 min-w-0">
+              <div className="text-xs font-semibold truncate">{pendingAttachment.file.name}</div>
+              <div className="text-[10px] text-slate-500">{formatBytes(pendingAttachment.file.size)}</div>
+              {uploadProgress !== null && (
+                <div className="h-1 mt-1 rounded-full bg-white/10 overflow-hidden">
+                  <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(uploadProgress * 100)}%` }} />
+                </div>
+              )}
+            </div>
+            {uploadProgress === null && (
+              <button type="button" onClick={() => setPendingAttachment(null)} className="text-[11px] text-slate-400 hover:text-white shrink-0">Remove</button>
+            )}
+          </div>
+        )}
+        {draftMaterial && !editingMessage && (
+          <div className="px-4 py-2 bg-blue-600/10 border-t border-blue-500/20 flex items-center justify-between gap-3 text-[11px]">
+            <span className="text-blue-300 flex items-center gap-2 min-w-0">
+              <BookOpen size={12} className="shrink-0" />
+              <span className="font-bold shrink-0">{MATERIAL_TYPE_LABELS[draftMaterial.type]}</span>
+              <span className="truncate text-slate-400">{draftMaterial.title}</span>
+            </span>
+            <button type="button" onClick={() => setDraftMaterial(null)} className="text-slate-400 hover:text-white shrink-0">Remove</button>
+          </div>
+        )}
+        {composerError && (
+          <div className="px-4 py-2 bg-red-500/10 border-t border-red-500/20 text-[11px] text-red-400">{composerError}</div>
+        )}
+        {isArchived && (
+          <div className="p-4 bg-white/5 border-t border-white/5 text-center text-xs text-slate-500 italic">
+            This room was archived when its subject was deleted. It is read-only.
+          </div>
+        )}
+        <form onSubmit={sendMessage} className={cn("p-4 bg-white/5 border-t border-white/5 flex gap-3 relative", isArchived && "hidden")}>
+          {showMaterialPicker && (
+            <div className="absolute bottom-full left-4 right-4 mb-2 p-1 max-h-64 overflow-y-auto custom-scrollbar rounded-2xl bg-[#0b0b1a]/95 border border-white/10 shadow-2xl backdrop-blur-xl z-20">
+              {subjectMaterials.map(item => (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => { setDraftMaterial(item); setShowMaterialPicker(false); inputRef.current?.focus(); }}
+                  className="w-full px-3 py-2 rounded-xl flex items-center gap-3 text-left text-sm text-slate-300 hover:bg-white/5"
+                >
+                  <div className="w-7 h-7 rounded-lg bg-blue-600/20 text-blue-400 flex items-center justify-center shrink-0">
+                    {item.type === 'video' ? <Video size={14} /> : item.type === 'note' ? <FileText size={14} /> : <LinkIcon size={14} />}
+                  </div>
+                  <span className="truncate">{item.title}</span>
+                  <span className="ml-auto text-[9px] text-slate-500 uppercase tracking-widest shrink-0">{MATERIAL_TYPE_LABELS[item.type]}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {mentionSuggestions.length > 0 && (
+            <div className="absolute bottom-full left-4 right-4 mb-2 p-1 rounded-2xl bg-[#0b0b1a]/95 border border-white/10 shadow-2xl backdrop-blur-xl z-20">
+              {mentionSuggestions.map((p, i) => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onMouseDown={(e) => { e.preventDefault(); insertMention(p); }}
+                  className={cn("w-full px-3 py-2 rounded-xl flex items-center gap-3 text-left text-sm", i === mentionIndex ? "bg-blue-600/20 text-white" : "text-slate-300 hover:bg-white/5")}
+                >
+                  <div className="w-7 h-7 rounded-lg bg-slate-800 flex items-center justify-center font-bold text-xs shrink-0">{p.full_name?.[0]}</div>
+                  <span className="truncate">{p.full_name}</span>
+                  {presence[p.id] === 'online' && <div className="ml-auto w-2 h-2 rounded-full bg-green-500 shrink-0" />}
+                </button>
+              ))}
+            </div>
+          )}
+          {!editingMessage && (
+            <>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={activeRoom?.type === 'anonymous' ? 'image/*' : ATTACHMENT_TYPES.join(',')}
+                className="hidden"
+                onChange={(e) => { pickAttachment(e.target.files[0]); e.target.value = ''; }}
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={uploadProgress !== null}
+                title="Attach a file"
+                className="w-12 h-12 rounded-xl bg-white/5 hover:bg-white/10 text-slate-400 hover:text-white flex items-center justify-center transition-colors shrink-0 disabled:opacity-50"
+              >
+                <Paperclip size={18} />
+              </button>
+              {subjectMaterials.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setShowMaterialPicker(!showMaterialPicker)}
+                  title="Link a material"
+                  className={cn("w-12 h-12 rounded-xl bg-white/5 hover:bg-white/10 text-slate-400 hover:text-white flex items-center justify-center transition-colors shrink-0", showMaterialPicker && "text-blue-400")}
+                >
+                  <BookOpen size={18} />
+                </button>
+              )}
+            </>
+          )}
           <input
+            ref={inputRef}
             value={inputText}
-            onChange={(e) => setInputText(e.target.value)}
-            placeholder={activeRoom?.type === 'anonymous' ? "Chat anonymously..." : "Type your message..."}
-            className="flex-1 glass-input py-3"
+            onChange={handleInputChange}
+            onBlur={() => { broadcastTyping(false); setMentionQuery(null); }}
+            onKeyDown={handleInputKeyDown}
+            placeholder={activeRoom?.type === 'anonymous' ? (myPseudonym ? `Chat as ${myPseudonym}...` : "Chat anonymously...") : "Type your message..."}
+            className={cn("flex-1 glass-input py-3", composerError && "ring-1 ring-red-500/60")}
           />
-          <button type="submit" className="w-12 h-12 bg-blue-600 hover:bg-blue-500 text-white rounded-xl flex items-center justify-center transition-colors shadow-lg shadow-blue-500/20">
+          <button type="submit" disabled={uploadProgress !== null} className="w-12 h-12 bg-blue-600 hover:bg-blue-500 text-white rounded-xl flex items-center justify-center transition-colors shadow-lg shadow-blue-500/20 disabled:opacity-50">
             <Send size={20} />
           </button>
         </form>
       </GlassCard>
+
+      {/* Thread Panel */}
+      {threadRoot && (
+        <GlassCard className="absolute inset-0 md:static md:w-96 flex flex-col p-0 overflow-hidden z-20 bg-[#0b0b1a] md:bg-transparent">
+          <div className="p-4 border-b border-white/5 flex items-center justify-between bg-white/5">
+            <h4 className="font-bold text-sm flex items-center gap-2"><MessagesSquare size={16} className="text-blue-400" /> Thread</h4>
+            <button onClick={closeThread} className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-white/10"><Plus size={18} className="rotate-45" /></button>
+          </div>
+          <div className="flex-1 overflow-y-auto p-4 space-y-5 custom-scrollbar">
+            <ChatMessage
+              message={threadRoot}
+              isMe={authorId(threadRoot) === user.id}
+              isAdmin={isAdmin}
+              onJumpTo={jumpToMessage}
+              onOpenImage={setLightboxImage}
+              mentionNames={threadRoot.mentions?.map(id => profileNames[id]).filter(Boolean)}
+              mentionsMe={threadRoot.mentions?.includes(user.id)}
+              onReport={setReportingMessage}
+              myReport={myReports[threadRoot.id]}
+              onReveal={openReveal}
+              reveal={myReveals[threadRoot.id]}
+              revealedIdentity={revealedIdentities[threadRoot.id]}
+              onPlayVideo={setPlayingVideo}
+            />
+            <div className="flex items-center gap-3 text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+              <div className="flex-1 h-px bg-white/5" />
+              {threadMessages.length} {threadMessages.length === 1 ? 'reply' : 'replies'}
+              <div className="flex-1 h-px bg-white/5" />
+            </div>
+            {threadMessages.map(msg => (
+              <ChatMessage
+                key={msg.id}
+                message={msg}
+                isMe={authorId(msg) === user.id}
+                isAdmin={isAdmin}
+                canEdit={canEditMessage(msg)}
+                onEdit={startReplyEdit}
+                onDelete={deleteMessage}
+                history={messageHistory.id === msg.id ? messageHistory.edits : null}
+                onToggleHistory={toggleHistory}
+                onOpenImage={setLightboxImage}
+                onReport={setReportingMessage}
+                myReport={myReports[msg.id]}
+                onReveal={openReveal}
+                reveal={myReveals[msg.id]}
+                revealedIdentity={revealedIdentities[msg.id]}
+                onPlayVideo={setPlayingVideo}
+              />
+            ))}
+          </div>
+          {editingReply && (
+            <div className="px-4 py-2 bg-blue-600/10 border-t border-blue-500/20 flex items-center justify-between text-[11px]">
+              <span className="text-blue-300 font-bold flex items-center gap-2 truncate"><Pencil size={12} /> Editing reply</span>
+              <button type="button" onClick={cancelReplyEdit} className="text-slate-400 hover:text-white">Cancel</button>
+            </div>
+          )}
+          {threadError && (
+            <div className="px-4 py-2 bg-red-500/10 border-t border-red-500/20 text-[11px] text-red-400">{threadError}</div>
+          )}
+          <form onSubmit={sendThreadReply} className="p-3 bg-white/5 border-t border-white/5 flex gap-2">
+            <input
+              value={threadInput}
+              onChange={(e) => { setThreadInput(e.target.value); if (threadError) setThreadError(''); }}
+              placeholder={activeRoom?.type === 'anonymous' ? "Reply anonymously..." : "Reply in thread..."}
+              className={cn("flex-1 glass-input py-2 text-sm", threadError && "ring-1 ring-red-500/60")}
+            />
+            <button type="submit" className="w-10 h-10 bg-blue-600 hover:bg-blue-500 text-white rounded-xl flex items-center justify-center transition-colors">
+              <Send size={16} />
+            </button>
+          </form>
+        </GlassCard>
+      )}
+
+      {/* Search Panel */}
+      {sidePanel === 'search' && !threadRoot && (
+        <GlassCard className="absolute inset-0 md:static md:w-96 flex flex-col p-0 overflow-hidden z-20 bg-[#0b0b1a] md:bg-transparent">
+          <div className="p-4 border-b border-white/5 flex items-center justify-between bg-white/5">
+            <h4 className="font-bold text-sm flex items-center gap-2"><Search size={16} className="text-blue-400" /> Search Messages</h4>
+            <button onClick={() => setSidePanel(null)} className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-white/10"><Plus size={18} className="rotate-45" /></button>
+          </div>
+          <form onSubmit={runSearch} className="p-4 border-b border-white/5 space-y-3">
+            <div className="flex gap-2">
+              <input
+                autoFocus
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder={isAdmin && searchFilters.allRooms ? "Search all rooms..." : "Search this room..."}
+                className="flex-1 glass-input py-2 text-sm"
+              />
+              <button type="submit" disabled={searching} className="w-10 h-10 bg-blue-600 hover:bg-blue-500 text-white rounded-xl flex items-center justify-center transition-colors disabled:opacity-50">
+                <Search size={16} />
+              </button>
+            </div>
+            {(isAdmin || activeRoom?.type !== 'anonymous') && (
+              <select
+                value={searchFilters.sender}
+                onChange={(e) => setSearchFilters({ ...searchFilters, sender: e.target.value })}
+                className="w-full glass-input bg-[#1a1a2e] py-2 text-sm"
+              >
+                <option value="">Anyone</option>
+                {[...allProfiles].sort((a, b) => (a.full_name || '').localeCompare(b.full_name || '')).map(p => (
+                  <option key={p.id} value={p.id}>{p.full_name || p.student_id}</option>
+                ))}
+              </select>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-[10px] text-slate-500 uppercase tracking-widest space-y-1">
+                <span>From</span>
+                <input type="date" value={searchFilters.from} max={searchFilters.to || undefined} onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })} className="w-full glass-input py-1.5 text-xs" />
+              </label>
+              <label className="text-[10px] text-slate-500 uppercase tracking-widest space-y-1">
+                <span>To</span>
+                <input type="date" value={searchFilters.to} min={searchFilters.from || undefined} onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })} className="w-full glass-input py-1.5 text-xs" />
+              </label>
+            </div>
+            {isAdmin && !roomId && (
+              <label className="flex items-center gap-2 text-xs text-slate-400">
+                <input type="checkbox" checked={searchFilters.allRooms} onChange={(e) => setSearchFilters({ ...searchFilters, allRooms: e.target.checked })} />
+                Search every room
+              </label>
+            )}
+            {searchesBySender && (
+              <div className="space-y-1">
+                <textarea
+                  value={searchFilters.justification}
+                  onChange={(e) => setSearchFilters({ ...searchFilters, justification: e.target.value })}
+                  placeholder="Why do you need to search by real sender? (at least 20 characters)"
+                  className="w-full glass-input py-2 text-xs h-16"
+                />
+                <p className="text-[10px] text-amber-400/80">
+                  Searching anonymous messages by their real sender is written to the reveal audit log. While reveals need approval, it only covers rooms where you hold an approved reveal of this sender.
+                </p>
+              </div>
+            )}
+          </form>
+          <div className="flex-1 overflow-y-auto p-3 space-y-2 custom-scrollbar">
+            {searching && <p className="text-center text-xs text-slate-500 italic py-6">Searching...</p>}
+            {!searching && searchResults?.messages.length === 0 && (
+              <p className="text-center text-xs text-slate-500 italic py-6">No messages match.</p>
+            )}
+            {!searching && searchResults?.messages.map(msg => (
+              <button
+                key={msg.id}
+                onClick={() => openSearchResult(msg)}
+                className="w-full text-left p-3 rounded-xl border border-white/5 hover:bg-white/5 transition-colors space-y-1"
+              >
+                <div className="flex items-center justify-between gap-2 text-[10px] text-slate-500">
+                  <span className="font-bold text-slate-300 truncate">
+                    {senderLabel(msg)}
+                    {msg.room_id !== activeRoom?.id && ` · ${msg.rooms?.type === 'dm' ? 'Direct message' : msg.rooms?.name}`}
+                  </span>
+                  <span className="shrink-0">
+                    {new Date(msg.created_at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+                <p className="text-sm text-slate-300 break-words line-clamp-3">
+                  {splitMatches(msg.content, searchResults.terms).map((part, i) => i % 2
+                    ? <mark key={i} className="bg-amber-400/30 text-amber-100 rounded px-0.5">{part}</mark>
+                    : part)}
+                </p>
+                {msg.thread_id && <span className="text-[10px] text-blue-400">In a thread</span>}
+              </button>
+            ))}
+            {!searching && searchResults?.messages.length === SEARCH_RESULT_LIMIT && (
+              <p className="text-center text-[10px] text-slate-500 py-2">Showing the newest {SEARCH_RESULT_LIMIT} matches. Narrow the search to see older ones.</p>
+            )}
+          </div>
+        </GlassCard>
+      )}
+
+      {/* Room Settings Panel */}
+      {sidePanel === 'settings' && !threadRoot && currentRoom && (
+        <GlassCard className="absolute inset-0 md:static md:w-96 flex flex-col p-0 overflow-hidden z-20 bg-[#0b0b1a] md:bg-transparent">
+          <div className="p-4 border-b border-white/5 flex items-center justify-between bg-white/5">
+            <h4 className="font-bold text-sm flex items-center gap-2">
+              <Settings size={16} className="text-blue-400" /> {currentRoom.type === 'dm' ? 'Conversation' : 'Room Settings'}
+            </h4>
+            <button onClick={() => setSidePanel(null)} className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-white/10"><Plus size={18} className="rotate-45" /></button>
+          </div>
+          <div className="flex-1 overflow-y-auto p-4 space-y-6 custom-scrollbar">
+            {dmPartner ? (
+              <div className="flex flex-col items-center text-center gap-2">
+                <div className="relative">
+                  <div className="w-20 h-20 rounded-full bg-blue-600/20 flex items-center justify-center text-2xl font-bold text-blue-400 overflow-hidden">
+                    {dmPartner.avatar_url ? <img src={dmPartner.avatar_url} alt="" className="w-full h-full object-cover" /> : dmPartner.full_name[0]}
+                  </div>
+                  <div className={cn("absolute bottom-1 right-1 w-4 h-4 rounded-full border-2 border-[#050510]", presence[dmPartner.id] === 'online' ? "bg-green-500" : presence[dmPartner.id] === 'away' ? "bg-amber-400" : "bg-slate-600")} />
+                </div>
+                <h3 className="font-bold">{dmPartner.full_name}</h3>
+                <p className="text-xs text-slate-400">{dmPartner.student_id}</p>
+                <p className="text-[10px] text-slate-500">
+                  {presence[dmPartner.id] === 'online' ? "Active Now" : presence[dmPartner.id] === 'away' ? "Away" : formatLastSeen(dmPartner.last_seen_at)}
+                  {' · '}Joined {new Date(dmPartner.created_at).toLocaleDateString([], { month: 'short', year: 'numeric' })}
+                </p>
+              </div>
+            ) : canManageRoom ? (
+              <form onSubmit={saveRoomDetails} className="space-y-3">
+                <div className="space-y-1">
+                  <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">Name</label>
+                  <input value={roomDraft.name} onChange={(e) => setRoomDraft({ ...roomDraft, name: e.target.value })} className="glass-input w-full py-2 text-sm" />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">Topic</label>
+                  {/* Must match the length check on rooms.topic in supabase_schema.sql */}
+                  <textarea
+                    value={roomDraft.topic}
+                    maxLength={280}
+                    rows={3}
+                    placeholder="What is this room for?"
+                    onChange={(e) => setRoomDraft({ ...roomDraft, topic: e.target.value })}
+                    className="glass-input w-full py-2 text-sm resize-none"
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  disabled={!roomDraft.name.trim() || (roomDraft.name === currentRoom.name && roomDraft.topic === (currentRoom.topic || ''))}
+                  className="w-full py-2 text-sm"
+                >
+                  Save
+                </Button>
+              </form>
+            ) : (
+              <div className="space-y-1">
+                <h3 className="font-bold">{currentRoom.name}</h3>
+                <p className="text-sm text-slate-400">{currentRoom.topic || 'No topic set.'}</p>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <button
+                onClick={() => setRoomPref(currentRoom, { muted: !roomPrefs[currentRoom.id]?.muted })}
+                className="w-full p-3 rounded-xl bg-white/5 hover:bg-white/10 flex items-center gap-3 text-sm transition-colors"
+              >
+                {roomPrefs[currentRoom.id]?.muted ? <BellOff size={16} className="text-slate-400" /> : <Bell size={16} className="text-blue-400" />}
+                <span className="flex-1 text-left">{roomPrefs[currentRoom.id]?.muted ? 'Unmute notifications' : 'Mute notifications'}</span>
+                {roomPrefs[currentRoom.id]?.muted && <span className="text-[10px] text-slate-500">Mentions still show</span>}
+              </button>
+              <button
+                onClick={() => setRoomPref(currentRoom, { pinned: !roomPrefs[currentRoom.id]?.pinned })}
+                className="w-full p-3 rounded-xl bg-white/5 hover:bg-white/10 flex items-center gap-3 text-sm transition-colors"
+              >
+                <Pin size={16} className={roomPrefs[currentRoom.id]?.pinned ? "text-blue-400" : "text-slate-400"} />
+                <span className="flex-1 text-left">{roomPrefs[currentRoom.id]?.pinned ? 'Unpin from sidebar' : 'Pin to top of sidebar'}</span>
+              </button>
+            </div>
+
+            {currentRoom.type !== 'dm' && (
+              <div className="space-y-2">
+                <h5 className="text-[10px] font-bold text-slate-500 uppercase tracking-widest flex items-center gap-2">
+                  <Users size={12} /> {currentRoom.is_private ? `${currentRoom.room_members?.length || 0} Members` : 'Open to every student'}
+                </h5>
+                {(currentRoom.is_private
+                  ? (currentRoom.room_members || []).map(m => ({ ...allProfiles.find(p => p.id === m.profile_id), id: m.profile_id, role: m.role }))
+                  : allProfiles
+                ).map(member => (
+                  <div key={member.id} className="flex items-center gap-3 p-2 rounded-xl hover:bg-white/5">
+                    <div className="relative">
+                      <div className="w-8 h-8 rounded-full bg-blue-600/20 flex items-center justify-center text-xs font-bold text-blue-400">{member.full_name?.[0] || '?'}</div>
+                      <div className={cn("absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border-2 border-[#050510]", presence[member.id] === 'online' ? "bg-green-500" : presence[member.id] === 'away' ? "bg-amber-400" : "bg-slate-600")} />
+                    </div>
+                    <span className="flex-1 text-sm truncate">{member.full_name || 'Student'}{member.id === user.id && ' (you)'}</span>
+                    {member.role && member.role !== 'member' && (
+                      <span className="text-[9px] font-bold text-slate-500 uppercase tracking-widest">{member.role === 'owner' ? 'Owner' : 'Invited'}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canLeaveRoom && (
+              <Button variant="danger" onClick={leaveRoom} className="w-full py-2 text-sm">
+                <LogOut size={14} /> {currentRoom.type === 'dm' ? 'Hide conversation' : 'Leave room'}
+              </Button>
+            )}
+          </div>
+        </GlassCard>
+      )}
+
+      <AnimatePresence>
+        {lightboxImage && (
+          <ImageLightbox image={lightboxImage} onClose={() => setLightboxImage(null)} />
+        )}
+        {reportingMessage && (
+          <ReportModal message={reportingMessage} onSubmit={submitReport} onClose={() => setReportingMessage(null)} />
+        )}
+        {revealTarget && (
+          <RevealModal message={revealTarget} onSubmit={requestReveal} onClose={() => setRevealTarget(null)} />
+        )}
+        {playingVideo && (
+          <VideoPlayerModal video={playingVideo} onClose={() => setPlayingVideo(null)} />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
 
 function SubjectPortal() {
-  const { isAdmin, subjects } = useOutletContext();
+  const { user, isAdmin, subjects, enrollments, refreshEnrollments } = useOutletContext();
+  const navigate = useNavigate();
+  const location = useLocation();
   const [selectedSubject, setSelectedSubject] = useState(null);
+  const [openMaterial, setOpenMaterial] = useState(null);
+  const [subjectFilter, setSubjectFilter] = useState('');
   const [loading, setLoading] = useState(false);
 
-  if (selectedSubject) return <SubjectDetail subject={selectedSubject} onBack={() => setSelectedSubject(null)} />;
+  const canOpen = (subject) => isAdmin || enrollments[subject.id] === 'enrolled';
+
+  // Sent by the command palette and consumed once, so reloading the subjects does not
+  // reopen it. A subject the student is not enrolled in is only picked out in the grid,
+  // where they can ask to join it.
+  useEffect(() => {
+    if (!location.state?.openSubject || !subjects.length) return;
+    const subject = subjects.find(s => s.id === location.state.openSubject);
+    if (subject && (isAdmin || enrollments[subject.id] === 'enrolled')) {
+      setSelectedSubject(subject);
+      setOpenMaterial(location.state.openMaterial || null);
+    } else if (subject) {
+      setSubjectFilter(subject.name);
+    }
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, subjects, isAdmin, enrollments, navigate]);
+
+  const openSubject = (subject) => {
+    if (!canOpen(subject)) return;
+    rememberRecent(user.id, 'subject', subject.id);
+    setOpenMaterial(null);
+    setSelectedSubject(subject);
+  };
+
+  const requestToJoin = async (subject) => {
+    const { error } = await supabase.from('enrollments').insert([{ subject_id: subject.id, profile_id: user.id }]);
+    if (error) { window.alert(error.message); return; }
+    await refreshEnrollments();
+  };
+
+  const cancelRequest = async (subject) => {
+    const { error } = await supabase.from('enrollments').delete().eq('subject_id', subject.id).eq('profile_id', user.id);
+    if (error) { window.alert(error.message); return; }
+    await refreshEnrollments();
+  };
+
+  const needle = subjectFilter.trim().toLowerCase();
+  const visibleSubjects = subjects.filter(s => !needle || `${s.name} ${s.description || ''}`.toLowerCase().includes(needle));
+  // Admins teach everything; students see their enrolled subjects and can ask to join the rest
+  const mySubjects = isAdmin ? visibleSubjects : visibleSubjects.filter(s => enrollments[s.id] === 'enrolled');
+  const otherSubjects = isAdmin ? [] : visibleSubjects.filter(s => enrollments[s.id] !== 'enrolled');
+
+  if (selectedSubject && canOpen(selectedSubject)) {
+    return (
+      <SubjectDetail
+        key={`${selectedSubject.id}:${openMaterial?.id}`}
+        subject={selectedSubject}
+        openMaterial={openMaterial}
+        onBack={() => setSelectedSubject(null)}
+      />
+    );
+  }
 
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
       <div className="flex items-center justify-between">
-        <h2 className="text-2xl font-bold">Your Subjects</h2>
+        <h2 className="text-2xl font-bold">{isAdmin ? 'All Subjects' : 'Your Subjects'}</h2>
         <div className="relative">
           <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
-          <input className="glass-input pl-10 w-64" placeholder="Filter subjects..." />
+          <input className="glass-input pl-10 w-64" placeholder="Filter subjects..." value={subjectFilter} onChange={(e) => setSubjectFilter(e.target.value)} />
         </div>
       </div>
 
@@ -980,12 +3504,18 @@ function SubjectPortal() {
         <p className="text-slate-400 italic">Finding your subjects...</p>
       ) : subjects.length === 0 ? (
         <p className="text-slate-400 italic">No subjects added yet. Contact administration.</p>
+      ) : visibleSubjects.length === 0 ? (
+        <p className="text-slate-400 italic">No subjects match "{subjectFilter}".</p>
+      ) : mySubjects.length === 0 ? (
+        <p className="text-slate-400 italic">
+          {needle ? `None of your subjects match "${subjectFilter}".` : "You are not enrolled in any subjects yet. Ask to join one below."}
+        </p>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {subjects.map(sub => (
+          {mySubjects.map(sub => (
             <GlassCard
               key={sub.id}
-              onClick={() => setSelectedSubject(sub)}
+              onClick={() => openSubject(sub)}
               className="group cursor-pointer hover:translate-y-[-5px]"
             >
               <div className="text-4xl mb-4 group-hover:scale-110 transition-transform">📚</div>
@@ -996,8 +3526,9 @@ function SubjectPortal() {
                   <button onClick={(e) => { e.stopPropagation(); navigate('/admin', { state: { editSubject: sub } }); }} className="p-2 bg-blue-500/10 text-blue-400 rounded-lg"><Settings size={14} /></button>
                   <button onClick={async (e) => {
                     e.stopPropagation();
-                    if (window.confirm('Delete subject?')) {
-                      await supabase.from('subjects').delete().eq('id', sub.id);
+                    if (window.confirm(DELETE_SUBJECT_PROMPT)) {
+                      const failure = writeError(await deleteSubject(sub.id));
+                      if (failure) window.alert(failure);
                     }
                   }} className="p-2 bg-red-500/10 text-red-400 rounded-lg"><Trash2 size={14} /></button>
                 </div>
@@ -1011,39 +3542,91 @@ function SubjectPortal() {
         </div>
       )
       }
+
+      {otherSubjects.length > 0 && (
+        <div className="space-y-4 pt-4">
+          <h3 className="text-sm font-bold text-slate-500 uppercase tracking-widest">Other Subjects</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {otherSubjects.map(sub => (
+              <GlassCard key={sub.id} className="p-4 flex items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <h4 className="font-medium text-sm truncate">{sub.name}</h4>
+                  <p className="text-xs text-slate-500 truncate">{sub.description || 'Access course materials and resources.'}</p>
+                </div>
+                {enrollments[sub.id] === 'requested' ? (
+                  <button onClick={() => cancelRequest(sub)} title="Cancel request" className="text-[10px] font-bold text-amber-400 hover:text-red-400 uppercase tracking-widest shrink-0">
+                    Requested
+                  </button>
+                ) : (
+                  <button onClick={() => requestToJoin(sub)} className="px-3 py-1.5 rounded-lg bg-blue-600/20 text-blue-400 hover:bg-blue-600 hover:text-white text-[10px] font-bold uppercase tracking-widest transition-colors shrink-0">
+                    Ask to join
+                  </button>
+                )}
+              </GlassCard>
+            ))}
+          </div>
+        </div>
+      )}
     </motion.div >
   );
 }
 
-function SubjectDetail({ subject, onBack }) {
-  const { isAdmin } = useOutletContext();
+// openMaterial (from the command palette) picks the starting tab and plays a video right away
+function SubjectDetail({ subject, openMaterial, onBack }) {
+  const { user, isAdmin, rooms } = useOutletContext();
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('video');
+  const [activeTab, setActiveTab] = useState('materials');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState(null);
+  const [units, setUnits] = useState([]);
   const [materials, setMaterials] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [playingVideo, setPlayingVideo] = useState(null);
+  const [playingVideo, setPlayingVideo] = useState(openMaterial?.type === 'video' ? openMaterial : null);
+  const [discussMaterial, setDiscussMaterial] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const discussionRoom = rooms.find(r => r.subject_id === subject.id);
+
+  const discuss = (item) => {
+    setDiscussMaterial(item);
+    setActiveTab('discussion');
+  };
 
+  // A linked material is only pre-filled once; coming back to the tab starts clean
   useEffect(() => {
-    const fetchMaterials = async () => {
-      setLoading(true);
-      const { data } = await supabase
-        .from('materials')
-        .select('*')
-        .eq('subject_id', subject.id)
-        .eq('type', activeTab);
-      if (data) setMaterials(data);
+    if (activeTab !== 'discussion') setDiscussMaterial(null);
+  }, [activeTab]);
+
+  useEffect(() => {
+    const fetchSyllabus = async () => {
+      const [unitRes, matRes] = await Promise.all([
+        supabase.from('units').select('*').eq('subject_id', subject.id).order('position'),
+        supabase.from('materials').select('*').eq('subject_id', subject.id).order('position').order('created_at')
+      ]);
+      if (unitRes.data) setUnits(unitRes.data);
+      if (matRes.data) setMaterials(matRes.data);
       setLoading(false);
     };
-    fetchMaterials();
+    fetchSyllabus();
 
-    const matSub = supabase.channel(`subj:${subject.id}:${activeTab}`)
-      .on('postgres_changes', { event: '*', table: 'materials', filter: `subject_id=eq.${subject.id}` }, fetchMaterials)
+    const matSub = supabase.channel(`subj:${subject.id}`)
+      .on('postgres_changes', { event: '*', table: 'materials', filter: `subject_id=eq.${subject.id}` }, fetchSyllabus)
+      .on('postgres_changes', { event: '*', table: 'units', filter: `subject_id=eq.${subject.id}` }, fetchSyllabus)
       .subscribe();
 
     return () => {
       supabase.removeChannel(matSub);
     };
-  }, [subject.id, activeTab]);
+  }, [subject.id]);
+
+  const subjectTags = [...new Set(materials.flatMap(m => m.tags || []))].sort();
+  const shownMaterials = materials.filter(m =>
+    (typeFilter === 'all' || m.type === typeFilter) && (!tagFilter || m.tags?.includes(tagFilter))
+  );
+  // Units in syllabus order, then anything not filed under a unit
+  const sections = [
+    ...units.map(u => ({ id: u.id, title: u.title, items: shownMaterials.filter(m => m.unit_id === u.id) })),
+    { id: 'unfiled', title: units.length > 0 ? 'Other materials' : null, items: shownMaterials.filter(m => !units.some(u => u.id === m.unit_id)) }
+  ].filter(section => section.items.length > 0);
 
   return (
     <motion.div initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} className="space-y-6">
@@ -1057,70 +3640,136 @@ function SubjectDetail({ subject, onBack }) {
           <p className="text-slate-400 text-sm mt-1">{subject.description}</p>
         </div>
         <div className="p-1 glass flex rounded-xl w-fit">
-          <TabItem active={activeTab === 'video'} onClick={() => setActiveTab('video')} icon={<Video size={16} />} label="Videos" />
-          <TabItem active={activeTab === 'note'} onClick={() => setActiveTab('note')} icon={<FileText size={16} />} label="Notes" />
-          <TabItem active={activeTab === 'link'} onClick={() => setActiveTab('link')} icon={<LinkIcon size={16} />} label="Other" />
+          <TabItem active={activeTab === 'materials'} onClick={() => setActiveTab('materials')} icon={<Layers size={16} />} label="Materials" />
+          <TabItem active={activeTab === 'discussion'} onClick={() => setActiveTab('discussion')} icon={<MessageSquare size={16} />} label="Discussion" />
         </div>
       </div>
 
-      {loading ? (
+      {activeTab === 'discussion' ? (
+        discussionRoom ? (
+          <div className="h-[70vh]">
+            <ChatPortal roomId={discussionRoom.id} linkMaterial={discussMaterial} />
+          </div>
+        ) : (
+          <div className="py-12 text-center text-slate-500 italic">This subject has no discussion room.</div>
+        )
+      ) : loading ? (
         <div className="h-64 flex items-center justify-center">
           <div className="w-8 h-8 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
         </div>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {materials.length === 0 && (
-            <div className="col-span-full py-12 text-center text-slate-500 italic">
-              No {activeTab}s uploaded yet for this subject.
+        <div className="space-y-6">
+          <div className="flex flex-wrap items-center gap-2">
+            {[['all', 'All types'], ['video', 'Videos'], ['note', 'Notes'], ['link', 'Other']].map(([type, label]) => (
+              <button
+                key={type}
+                onClick={() => setTypeFilter(type)}
+                className={cn("px-3 py-1.5 rounded-lg text-xs font-bold transition-all", typeFilter === type ? "bg-blue-600 text-white" : "bg-white/5 text-slate-400 hover:text-white")}
+              >
+                {label} <span className="opacity-60">{type === 'all' ? materials.length : materials.filter(m => m.type === type).length}</span>
+              </button>
+            ))}
+            {subjectTags.length > 0 && <span className="w-px h-5 bg-white/10 mx-1" />}
+            {subjectTags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+                className={cn("flex items-center gap-1 px-2.5 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest transition-all", tagFilter === tag ? "bg-purple-600 text-white" : "bg-purple-500/10 text-purple-300 hover:bg-purple-500/20")}
+              >
+                <Tag size={10} /> {tag}
+              </button>
+            ))}
+          </div>
+
+          {sections.length === 0 && (
+            <div className="py-12 text-center text-slate-500 italic">
+              {materials.length === 0 ? 'No materials uploaded yet for this subject.' : 'No materials match these filters.'}
             </div>
           )}
-          {materials.map(item => (
-            <GlassCard key={item.id} className="p-4 hover:bg-white/10 transition-colors group relative">
-              <div className="flex items-start justify-between mb-4">
-                <div className="p-2 rounded-lg bg-blue-600/20 text-blue-400">
-                  {item.type === 'video' ? <Video size={20} /> : item.type === 'note' ? <FileText size={20} /> : <LinkIcon size={20} />}
-                </div>
-                {item.type === 'video' && getYoutubeId(item.content) && (
-                  <div className="absolute inset-0 z-0 opacity-10 pointer-events-none">
-                    <img src={`https://img.youtube.com/vi/${getYoutubeId(item.content)}/0.jpg`} className="w-full h-full object-cover" />
-                  </div>
-                )}
-                <div className="flex gap-2">
-                  {item.type === 'video' ? (
-                    <button
-                      onClick={() => setPlayingVideo(item)}
-                      className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600 hover:text-white transition-all z-10"
-                    >
-                      <Play size={14} fill="currentColor" />
-                    </button>
-                  ) : (
-                    <a href={item.content} target="_blank" rel="noopener noreferrer" className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600 hover:text-white transition-all">
-                      <Send size={14} />
-                    </a>
-                  )}
-                  {isAdmin && (
-                    <div className="flex gap-1">
-                      <button onClick={() => navigate('/admin', { state: { editMaterial: item } })} className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600/20 text-blue-400 transition-all">
-                        <Settings size={14} />
-                      </button>
-                      <button
-                        onClick={async () => {
-                          if (window.confirm('Delete this material?')) {
-                            await supabase.from('materials').delete().eq('id', item.id);
-                          }
-                        }}
-                        className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-red-500/20 text-red-400 transition-all">
-                        <Trash2 size={14} />
-                      </button>
+          {sections.map(section => (
+            <div key={section.id} className="space-y-3">
+              {section.title && <h3 className="text-sm font-bold text-slate-500 uppercase tracking-widest">{section.title}</h3>}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {section.items.map(item => (
+                  <GlassCard key={item.id} className="p-4 hover:bg-white/10 transition-colors group relative">
+                    <div className="flex items-start justify-between mb-4">
+                      <div className="p-2 rounded-lg bg-blue-600/20 text-blue-400">
+                        {item.type === 'video' ? <Video size={20} /> : item.type === 'note' ? <FileText size={20} /> : <LinkIcon size={20} />}
+                      </div>
+                      {item.type === 'video' && getYoutubeId(item.content) && (
+                        <div className="absolute inset-0 z-0 opacity-10 pointer-events-none">
+                          <img src={`https://img.youtube.com/vi/${getYoutubeId(item.content)}/0.jpg`} className="w-full h-full object-cover" />
+                        </div>
+                      )}
+                      <div className="flex gap-2">
+                        {discussionRoom && (
+                          <button
+                            onClick={() => discuss(item)}
+                            title="Discuss"
+                            className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600 hover:text-white transition-all z-10"
+                          >
+                            <MessageSquare size={14} />
+                          </button>
+                        )}
+                        {item.type === 'video' ? (
+                          <button
+                            onClick={() => { rememberRecent(user.id, 'material', item.id); setPlayingVideo(item); }}
+                            className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600 hover:text-white transition-all z-10"
+                          >
+                            <Play size={14} fill="currentColor" />
+                          </button>
+                        ) : (
+                          <a href={item.content} target="_blank" rel="noopener noreferrer" onClick={() => rememberRecent(user.id, 'material', item.id)} className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600 hover:text-white transition-all">
+                            <Send size={14} />
+                          </a>
+                        )}
+                        {isAdmin && (
+                          <div className="flex gap-1">
+                            <button onClick={() => navigate('/admin', { state: { editMaterial: item } })} className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-blue-600/20 text-blue-400 transition-all">
+                              <Settings size={14} />
+                            </button>
+                            <button
+                              onClick={async () => {
+                                if (window.confirm('Delete this material?')) {
+                                  const failure = writeError(await deleteMaterial(item));
+                                  if (failure) window.alert(failure);
+                                }
+                              }}
+                              className="w-8 h-8 rounded-full border border-white/5 flex items-center justify-center hover:bg-red-500/20 text-red-400 transition-all">
+                              <Trash2 size={14} />
+                            </button>
+                          </div>
+                        )}
+                      </div>
                     </div>
-                  )}
-                </div>
+                    <div className="flex items-start justify-between gap-2 mb-1">
+                      <h4 className="font-medium text-sm">{item.title}</h4>
+                      {item.version > 1 && (
+                        <button
+                          onClick={() => setHistoryId(item.id)}
+                          title={`Version ${item.version} · ${new Date(item.updated_at).toLocaleDateString()}`}
+                          className="relative z-10 shrink-0 flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-300 text-[9px] font-bold uppercase tracking-widest hover:bg-amber-500/20"
+                        >
+                          <History size={10} /> Updated
+                        </button>
+                      )}
+                    </div>
+                    <span className="text-[10px] text-slate-500 uppercase tracking-tighter truncate block">
+                      {item.content}
+                    </span>
+                    {item.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-3 relative z-10">
+                        {item.tags.map(tag => (
+                          <button key={tag} onClick={() => setTagFilter(tag)} className="px-2 py-0.5 rounded-full bg-purple-500/10 text-purple-300 text-[9px] font-bold uppercase tracking-widest hover:bg-purple-500/20">
+                            {tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </GlassCard>
+                ))}
               </div>
-              <h4 className="font-medium text-sm mb-1">{item.title}</h4>
-              <span className="text-[10px] text-slate-500 uppercase tracking-tighter truncate block">
-                {item.content}
-              </span>
-            </GlassCard>
+            </div>
           ))}
         </div>
       )}
@@ -1129,11 +3778,115 @@ function SubjectDetail({ subject, onBack }) {
         {playingVideo && (
           <VideoPlayerModal video={playingVideo} onClose={() => setPlayingVideo(null)} />
         )}
+        {historyId && materials.some(m => m.id === historyId) && (
+          <MaterialHistoryModal material={materials.find(m => m.id === historyId)} isAdmin={isAdmin} onClose={() => setHistoryId(null)} />
+        )}
       </AnimatePresence>
     </motion.div>
   );
 }
 
+// What a version changed compared with the one before it
+const materialChanges = (entry, previous) => {
+  if (!previous) return ['First published'];
+  const changes = [];
+  if (entry.type !== previous.type) changes.push(`Type: ${MATERIAL_TYPE_LABELS[previous.type]} → ${MATERIAL_TYPE_LABELS[entry.type]}`);
+  if (entry.title !== previous.title) changes.push(`Title: "${previous.title}" → "${entry.title}"`);
+  if (entry.content !== previous.content) {
+    changes.push(entry.type === 'note' && previous.type === 'note' ? 'File replaced' : `Link: ${previous.content} → ${entry.content}`);
+  }
+  return changes;
+};
+
+function MaterialHistoryModal({ material, isAdmin, onClose }) {
+  const [versions, setVersions] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  // Re-read when a restore (or any other edit) bumps the version
+  useEffect(() => {
+    supabase
+      .from('material_versions')
+      .select('*')
+      .eq('material_id', material.id)
+      .order('version', { ascending: false })
+      .then(({ data, error }) => {
+        if (error) console.error("Version fetch error:", error);
+        setVersions(data || []);
+      });
+  }, [material.id, material.version]);
+
+  const restore = async (version) => {
+    if (!window.confirm(`Restore version ${version.version}? The current version stays in the history.`)) return;
+    setRestoring(version.id);
+    const { error } = await supabase.rpc('restore_material_version', { target: version.id });
+    setRestoring(null);
+    if (error) window.alert(error.message);
+  };
+
+  const entries = [
+    { ...material, published_at: material.updated_at || material.created_at, isCurrent: true },
+    ...(versions || [])
+  ];
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/80 backdrop-blur-md"
+      />
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        className="w-full max-w-lg max-h-[80vh] flex flex-col glass p-8 rounded-3xl border border-white/10 relative z-10"
+      >
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h3 className="text-xl font-bold text-white">{material.title}</h3>
+            <p className="text-[10px] text-slate-500 uppercase tracking-[0.2em] font-bold mt-0.5">Changelog · Version {material.version}</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white/10 rounded-xl transition-colors text-slate-400"><Plus size={24} className="rotate-45" /></button>
+        </div>
+
+        {versions === null ? (
+          <p className="text-sm text-slate-500 italic">Loading history...</p>
+        ) : (
+          <div className="space-y-3 overflow-y-auto pr-2 custom-scrollbar">
+            {entries.map((entry, i) => (
+              <div key={entry.isCurrent ? 'current' : entry.id} className={cn("p-4 rounded-2xl border space-y-2", entry.isCurrent ? "bg-blue-600/10 border-blue-500/20" : "bg-white/5 border-white/5")}>
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-bold">Version {entry.version}</span>
+                  {entry.isCurrent && <span className="px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-300 text-[9px] font-bold uppercase tracking-widest">Current</span>}
+                  <span className="ml-auto text-[10px] text-slate-500 font-mono">{new Date(entry.published_at).toLocaleString()}</span>
+                </div>
+                {entry.change_note && <p className="text-sm text-slate-300 italic">{entry.change_note}</p>}
+                <ul className="text-xs text-slate-400 space-y-0.5">
+                  {materialChanges(entry, entries[i + 1]).map(change => <li key={change} className="break-all">{change}</li>)}
+                </ul>
+                {!entry.isCurrent && (
+                  <div className="flex gap-2 pt-1">
+                    <a href={entry.content} target="_blank" rel="noopener noreferrer" className="text-xs font-bold text-blue-400 hover:text-blue-300">
+                      {entry.type === 'note' ? 'Download' : 'Open'}
+                    </a>
+                    {isAdmin && (
+                      <button onClick={() => restore(entry)} disabled={restoring !== null} className="ml-auto text-xs font-bold text-amber-400 hover:text-amber-300 disabled:opacity-50">
+                        {restoring === entry.id ? 'Restoring...' : 'Restore this version'}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
+
 function VideoPlayerModal({ video, onClose }) {
   if (!video) return null;
   const ytId = getYoutubeId(video.content);
@@ -1174,16 +3927,21 @@ function VideoPlayerModal({ video, onClose }) {
 }
 
 function VideoPortal() {
+  const { isAdmin, enrollments } = useOutletContext();
   const [videos, setVideos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [playingVideo, setPlayingVideo] = useState(null);
+  // Joined into a string so the effect only re-runs when the set of subjects changes
+  const enrolledIds = Object.keys(enrollments).filter(id => enrollments[id] === 'enrolled').sort().join(',');
 
   useEffect(() => {
     const fetchVideos = async () => {
-      const { data } = await supabase
+      let query = supabase
         .from('materials')
         .select('*, subjects(name)')
         .eq('type', 'video');
+      if (!isAdmin) query = query.in('subject_id', enrolledIds ? enrolledIds.split(',') : []);
+      const { data } = await query;
       if (data) setVideos(data);
       setLoading(false);
     };
@@ -1196,7 +3954,7 @@ function VideoPortal() {
     return () => {
       supabase.removeChannel(matChannel);
     };
-  }, []);
+  }, [isAdmin, enrolledIds]);
 
   return (
     <div className="space-y-6">
@@ -1265,7 +4023,7 @@ function VideoPortal() {
 }
 
 function AdminPanel() {
-  const { subjects, setSubjects, notices, setNotices, rooms } = useOutletContext();
+  const { user, subjects, setSubjects, notices, setNotices, rooms, presence } = useOutletContext();
   const location = useLocation();
   const [newSubName, setNewSubName] = useState('');
   const [newSubDesc, setNewSubDesc] = useState('');
@@ -1275,21 +4033,64 @@ function AdminPanel() {
   const [mType, setMType] = useState('video');
   const [mTitle, setMTitle] = useState('');
   const [mContent, setMContent] = useState('');
+  const [mUnitId, setMUnitId] = useState('');
+  const [mTags, setMTags] = useState('');
+  const [mChangeNote, setMChangeNote] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+
+  // Bulk Upload State
+  const [bulkSubId, setBulkSubId] = useState('');
+  const [bulkUnitId, setBulkUnitId] = useState('');
+  const [bulkFiles, setBulkFiles] = useState([]); // { key, file, title, status, progress, error }
+  const [bulkDragging, setBulkDragging] = useState(false);
+
+  // Syllabus State
+  const [units, setUnits] = useState([]);
+  const [syllabusSubId, setSyllabusSubId] = useState('');
+  const [syllabusMaterials, setSyllabusMaterials] = useState([]);
+  const [newUnitTitle, setNewUnitTitle] = useState('');
+  const [editingUnit, setEditingUnit] = useState(null);
+  const [pendingOrder, setPendingOrder] = useState(null); // Latest drag order, saved when the drag ends
 
   // Notice Form State
   const [nTitle, setNTitle] = useState('');
   const [nContent, setNContent] = useState('');
   const [nColor, setNColor] = useState('blue');
+  const [nSubjectId, setNSubjectId] = useState('');
   const [editingNotice, setEditingNotice] = useState(null);
   const [editingSubject, setEditingSubject] = useState(null);
   const [editingMaterial, setEditingMaterial] = useState(null);
 
   const [allStudents, setAllStudents] = useState([]);
+  const [enrollmentRows, setEnrollmentRows] = useState([]);
+  const [selectedStudents, setSelectedStudents] = useState([]);
+  const [bulkSubjectId, setBulkSubjectId] = useState('');
   const [activeAdminTab, setActiveAdminTab] = useState('overview');
   const [msg, setMsg] = useState({ text: '', error: false });
 
+  // Moderation Queue State
+  const [reports, setReports] = useState([]);
+  const [reportFilter, setReportFilter] = useState('open'); // 'open' or 'resolved'
+  const [reportContext, setReportContext] = useState({ id: null, messages: [] });
+
+  // Identity Reveal State
+  const [pendingReveals, setPendingReveals] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [requireRevealApproval, setRequireRevealApproval] = useState(true);
+  const [pseudonymRotationDays, setPseudonymRotationDays] = useState(7);
+
+  // Spam Protection State
+  const [spamLimits, setSpamLimits] = useState({ rate_limit_count: 10, rate_limit_window_seconds: 30, duplicate_window_seconds: 60 });
+  const [blockedWords, setBlockedWords] = useState([]);
+  const [newWord, setNewWord] = useState('');
+  const [newWordMode, setNewWordMode] = useState('block');
+
+  // Storage Cleanup State
+  const [orphanFiles, setOrphanFiles] = useState(null); // null until the first dry run
+  const [scanningOrphans, setScanningOrphans] = useState(false);
+  const [purgingOrphans, setPurgingOrphans] = useState(false);
+
   useEffect(() => {
     if (location.state?.editSubject) {
       const s = location.state.editSubject;
@@ -1299,13 +4100,8 @@ function AdminPanel() {
       setNewSubDesc(s.description || '');
     }
     if (location.state?.editMaterial) {
-      const m = location.state.editMaterial;
       setActiveAdminTab('overview');
-      setEditingMaterial(m);
-      setMSubId(m.subject_id);
-      setMType(m.type);
-      setMTitle(m.title);
-      setMContent(m.type === 'note' ? '' : m.content);
+      editMaterial(location.state.editMaterial);
     }
     if (location.state?.editNotice) {
       const n = location.state.editNotice;
@@ -1314,50 +4110,125 @@ function AdminPanel() {
       setNTitle(n.title);
       setNContent(n.content);
       setNColor(n.color || 'blue');
+      setNSubjectId(n.subject_id || '');
     }
   }, [location.state]);
 
   useEffect(() => {
-    const fetchStudents = async () => {
-      const { data } = await supabase.from('profiles').select('*').order('full_name');
-      if (data) setAllStudents(data);
+    const fetchStudents = async () => {
+      const { data } = await supabase.from('profiles').select('*').order('full_name');
+      if (data) setAllStudents(data);
+    };
+    fetchStudents();
+  }, []);
+
+  const loadEnrollments = async () => {
+    const { data, error } = await supabase.from('enrollments').select('*').order('created_at');
+    if (error) console.error("Enrollment fetch error:", error);
+    else setEnrollmentRows(data);
+  };
+
+  useEffect(() => {
+    loadEnrollments();
+    const enrollmentChannel = supabase.channel('enrollment-admin')
+      .on('postgres_changes', { event: '*', table: 'enrollments' }, () => loadEnrollments())
+      .subscribe();
+    return () => {
+      supabase.removeChannel(enrollmentChannel);
+    };
+  }, []);
+
+  const loadUnits = async () => {
+    const { data, error } = await supabase.from('units').select('*').order('position');
+    if (error) console.error("Unit fetch error:", error);
+    else setUnits(data);
+  };
+
+  const loadSyllabusMaterials = async (subjectId) => {
+    const { data, error } = await supabase
+      .from('materials')
+      .select('*')
+      .eq('subject_id', subjectId)
+      .order('position')
+      .order('created_at');
+    if (error) console.error("Syllabus fetch error:", error);
+    else setSyllabusMaterials(data);
+  };
+
+  useEffect(() => {
+    loadUnits();
+    const unitChannel = supabase.channel('units-admin')
+      .on('postgres_changes', { event: '*', table: 'units' }, () => loadUnits())
+      .subscribe();
+    return () => {
+      supabase.removeChannel(unitChannel);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!syllabusSubId) { setSyllabusMaterials([]); return; }
+    loadSyllabusMaterials(syllabusSubId);
+    const syllabusChannel = supabase.channel(`syllabus:${syllabusSubId}`)
+      .on('postgres_changes', { event: '*', table: 'materials', filter: `subject_id=eq.${syllabusSubId}` }, () => loadSyllabusMaterials(syllabusSubId))
+      .subscribe();
+    return () => {
+      supabase.removeChannel(syllabusChannel);
+    };
+  }, [syllabusSubId]);
+
+  const loadReports = async () => {
+    const { data, error } = await supabase
+      .from('message_reports')
+      .select('*, reporter:profiles!reporter_id(full_name), message:messages(id, room_id, content, attachment, sender_id, is_anonymous, pseudonym, created_at, deleted_at, profiles!sender_id(id, full_name, student_id, muted_until, banned_at), rooms(name, type))')
+      .order('created_at', { ascending: false });
+    if (error) console.error("Report fetch error:", error);
+    else setReports(data);
+  };
+
+  useEffect(() => {
+    loadReports();
+    const reportChannel = supabase.channel('moderation-queue')
+      .on('postgres_changes', { event: '*', table: 'message_reports' }, () => loadReports())
+      .subscribe();
+    return () => {
+      supabase.removeChannel(reportChannel);
     };
-    fetchStudents();
   }, []);
 
   const saveSubject = async (e) => {
     e.preventDefault();
     if (!newSubName) return;
     if (editingSubject) {
-      const { error } = await supabase.from('subjects').update({ name: newSubName, description: newSubDesc }).eq('id', editingSubject.id);
-      if (error) setMsg({ text: error.message, error: true });
+      const failure = writeError(await supabase.from('subjects').update({ name: newSubName, description: newSubDesc }).eq('id', editingSubject.id).select());
+      if (failure) setMsg({ text: failure, error: true });
       else {
         setSubjects(prev => prev.map(s => s.id === editingSubject.id ? { ...s, name: newSubName, description: newSubDesc } : s));
         setEditingSubject(null); setNewSubName(''); setNewSubDesc('');
         setMsg({ text: 'Subject updated!', error: false });
       }
     } else {
-      const { data, error } = await supabase.from('subjects').insert([{ name: newSubName, description: newSubDesc }]).select();
-      if (error) setMsg({ text: error.message, error: true });
+      const result = await supabase.from('subjects').insert([{ name: newSubName, description: newSubDesc }]).select();
+      const failure = writeError(result);
+      if (failure) setMsg({ text: failure, error: true });
       else {
-        setSubjects([...subjects, data[0]]);
+        setSubjects([...subjects, result.data[0]]);
         setNewSubName(''); setNewSubDesc('');
-        setMsg({ text: 'Subject created successfully!', error: false });
+        setMsg({ text: 'Subject and discussion room created!', error: false });
       }
     }
   };
 
   const deleteRoom = async (id) => {
     if (!window.confirm('Delete this room? All messages will be lost.')) return;
-    const { error } = await supabase.from('rooms').delete().eq('id', id);
-    if (error) setMsg({ text: error.message, error: true });
+    const failure = writeError(await supabase.from('rooms').delete().eq('id', id).select());
+    if (failure) setMsg({ text: failure, error: true });
     else setMsg({ text: 'Room deleted.', error: false });
   };
 
-  const deleteSubject = async (id) => {
-    if (!window.confirm('Are you sure? This will delete all materials and messages for this subject.')) return;
-    const { error } = await supabase.from('subjects').delete().eq('id', id);
-    if (error) setMsg({ text: error.message, error: true });
+  const removeSubject = async (id) => {
+    if (!window.confirm(DELETE_SUBJECT_PROMPT)) return;
+    const failure = writeError(await deleteSubject(id));
+    if (failure) setMsg({ text: failure, error: true });
     else {
       setSubjects(prev => prev.filter(s => s.id !== id));
       setMsg({ text: 'Subject deleted.', error: false });
@@ -1367,31 +4238,160 @@ function AdminPanel() {
   const saveMaterial = async (e) => {
     e.preventDefault();
     if (!mSubId || !mTitle) { setMsg({ text: 'Fill title and select subject', error: true }); return; }
-    let finalContent = mContent;
+    // An edited note without a new file keeps the one it already has
+    const keepsFile = editingMaterial?.type === 'note' && mType === 'note' && !selectedFile;
+    let finalContent = keepsFile ? editingMaterial.content : mContent;
+    let storagePath = keepsFile ? editingMaterial.storage_path : null;
     if (mType === 'note' && selectedFile) {
-      setUploading(true);
+      const fileError = materialFileError(selectedFile);
+      if (fileError) { setMsg({ text: `${selectedFile.name}: ${fileError}`, error: true }); return; }
+      setUploadProgress(0);
       const fileExt = selectedFile.name.split('.').pop();
       const fileName = `${Math.random()}.${fileExt}`;
-      const filePath = `${mSubId}/${fileName}`;
-      const { error: uploadError } = await supabase.storage.from('materials').upload(filePath, selectedFile);
-      if (uploadError) { setMsg({ text: 'Upload failed', error: true }); setUploading(false); return; }
-      const { data: { publicUrl } } = supabase.storage.from('materials').getPublicUrl(filePath);
+      storagePath = `${mSubId}/${fileName}`;
+      const { error: uploadError } = await uploadWithProgress(MATERIAL_BUCKET, storagePath, selectedFile, setUploadProgress);
+      if (uploadError) { setMsg({ text: `Upload failed: ${writeError({ error: uploadError })}`, error: true }); setUploadProgress(null); return; }
+      const { data: { publicUrl } } = supabase.storage.from(MATERIAL_BUCKET).getPublicUrl(storagePath);
       finalContent = publicUrl;
     }
+    const uploadedPath = selectedFile && mType === 'note' ? storagePath : null;
 
+    const fields = { subject_id: mSubId, unit_id: mUnitId || null, type: mType, title: mTitle, content: finalContent, storage_path: storagePath, tags: parseTags(mTags) };
     if (editingMaterial) {
-      const { error } = await supabase.from('materials').update({ subject_id: mSubId, type: mType, title: mTitle, content: finalContent }).eq('id', editingMaterial.id);
-      setUploading(false);
-      if (error) setMsg({ text: error.message, error: true });
+      const failure = writeError(await supabase.from('materials').update({ ...fields, change_note: mChangeNote.trim() || null }).eq('id', editingMaterial.id).select());
+      setUploadProgress(null);
+      if (failure) { await removeMaterialFiles([uploadedPath]); setMsg({ text: failure, error: true }); }
       else {
-        setEditingMaterial(null); setMTitle(''); setMContent(''); setSelectedFile(null);
+        // A replaced file is kept: the previous version still points at it
+        setEditingMaterial(null); setMTitle(''); setMContent(''); setMTags(''); setMChangeNote(''); setSelectedFile(null);
         setMsg({ text: 'Material updated!', error: false });
       }
     } else {
-      const { error } = await supabase.from('materials').insert([{ subject_id: mSubId, type: mType, title: mTitle, content: finalContent }]);
-      setUploading(false);
-      if (error) setMsg({ text: error.message, error: true });
-      else { setMTitle(''); setMContent(''); setSelectedFile(null); setMsg({ text: 'Material uploaded!', error: false }); }
+      const failure = writeError(await supabase.from('materials').insert([fields]).select());
+      setUploadProgress(null);
+      if (failure) { await removeMaterialFiles([uploadedPath]); setMsg({ text: failure, error: true }); }
+      else { setMTitle(''); setMContent(''); setMTags(''); setSelectedFile(null); setMsg({ text: 'Material uploaded!', error: false }); }
+    }
+  };
+
+  const addBulkFiles = (fileList) => {
+    const added = Array.from(fileList).map(file => {
+      const error = materialFileError(file);
+      return { key: `${file.name}:${file.size}:${file.lastModified}`, file, title: titleFromFilename(file.name), status: error ? 'invalid' : 'queued', progress: 0, error };
+    });
+    setBulkFiles(prev => [...prev, ...added.filter(f => !prev.some(p => p.key === f.key))]);
+  };
+
+  const updateBulkFile = (key, changes) => {
+    setBulkFiles(prev => prev.map(f => f.key === key ? { ...f, ...changes } : f));
+  };
+
+  // Each file is uploaded and saved on its own, so one failure never undoes the rest of the batch.
+  // The target is stored on the entry so a retry lands in the same subject and unit.
+  const uploadBulkFile = async (entry, subjectId, unitId) => {
+    updateBulkFile(entry.key, { status: 'uploading', progress: 0, error: null, subjectId, unitId });
+    const path = `${subjectId}/${Math.random()}.${entry.file.name.split('.').pop()}`;
+    const { error } = await uploadWithProgress(MATERIAL_BUCKET, path, entry.file, progress => updateBulkFile(entry.key, { progress }));
+    if (error) {
+      updateBulkFile(entry.key, { status: 'failed', error: error.message });
+      return false;
+    }
+    const { data: { publicUrl } } = supabase.storage.from(MATERIAL_BUCKET).getPublicUrl(path);
+    const failure = writeError(await supabase.from('materials').insert([{
+      subject_id: subjectId, unit_id: unitId || null, type: 'note', title: entry.title.trim() || entry.file.name, content: publicUrl, storage_path: path
+    }]).select());
+    if (failure) {
+      await removeMaterialFiles([path]);
+      updateBulkFile(entry.key, { status: 'failed', error: failure });
+      return false;
+    }
+    updateBulkFile(entry.key, { status: 'done', progress: 1 });
+    return true;
+  };
+
+  const uploadBulkFiles = async () => {
+    if (!bulkSubId) { setMsg({ text: 'Select a subject for the upload', error: true }); return; }
+    const queued = bulkFiles.filter(f => f.status === 'queued');
+    let uploaded = 0;
+    // One at a time, so materials keep the order the files were added in
+    for (const entry of queued) {
+      if (await uploadBulkFile(entry, bulkSubId, bulkUnitId)) uploaded += 1;
+    }
+    if (uploaded === queued.length) setMsg({ text: `${uploaded} ${uploaded === 1 ? 'file' : 'files'} uploaded!`, error: false });
+    else setMsg({ text: `${uploaded} of ${queued.length} files uploaded. Retry the failed ones below.`, error: true });
+  };
+
+  const retryBulkFile = (entry) => uploadBulkFile(entry, entry.subjectId, entry.unitId);
+
+  const bulkBusy = bulkFiles.some(f => f.status === 'uploading');
+  const bulkQueuedCount = bulkFiles.filter(f => f.status === 'queued').length;
+
+  const editMaterial = (m) => {
+    setEditingMaterial(m);
+    setMSubId(m.subject_id);
+    setMType(m.type);
+    setMTitle(m.title);
+    setMContent(m.type === 'note' ? '' : m.content);
+    setMUnitId(m.unit_id || '');
+    setMTags((m.tags || []).join(', '));
+    setMChangeNote('');
+  };
+
+  const addUnit = async (e) => {
+    e.preventDefault();
+    if (!syllabusSubId || !newUnitTitle.trim()) return;
+    const failure = writeError(await supabase.from('units').insert([{ subject_id: syllabusSubId, title: newUnitTitle.trim() }]).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else setNewUnitTitle('');
+  };
+
+  const renameUnit = async (e) => {
+    e.preventDefault();
+    const title = editingUnit.title.trim();
+    if (!title) return;
+    const failure = writeError(await supabase.from('units').update({ title }).eq('id', editingUnit.id).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else setEditingUnit(null);
+  };
+
+  const deleteUnit = async (unit) => {
+    if (!window.confirm(`Delete "${unit.title}"? Its materials stay in the subject without a unit.`)) return;
+    const failure = writeError(await supabase.from('units').delete().eq('id', unit.id).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else loadSyllabusMaterials(syllabusSubId);
+  };
+
+  const moveMaterial = async (material, unitId) => {
+    const failure = writeError(await supabase.from('materials').update({ unit_id: unitId || null }).eq('id', material.id).select());
+    if (failure) setMsg({ text: failure, error: true });
+  };
+
+  const syllabusUnits = units.filter(u => u.subject_id === syllabusSubId);
+  const syllabusSections = [
+    ...syllabusUnits.map(u => ({ id: u.id, title: u.title, items: syllabusMaterials.filter(m => m.unit_id === u.id) })),
+    { id: null, title: 'No unit', items: syllabusMaterials.filter(m => !syllabusUnits.some(u => u.id === m.unit_id)) }
+  ];
+
+  // Dragging only reorders locally; the new order is saved once on drop
+  const reorderUnits = (ordered) => {
+    setPendingOrder({ rpc: 'reorder_units', ids: ordered.map(u => u.id) });
+    setUnits(prev => [...prev.filter(u => u.subject_id !== syllabusSubId), ...ordered]);
+  };
+
+  const reorderSection = (sectionId, items) => {
+    const ordered = syllabusSections.flatMap(section => section.id === sectionId ? items : section.items);
+    setPendingOrder({ rpc: 'reorder_materials', ids: ordered.map(m => m.id) });
+    setSyllabusMaterials(ordered);
+  };
+
+  const savePendingOrder = async () => {
+    if (!pendingOrder) return;
+    setPendingOrder(null);
+    const { error } = await supabase.rpc(pendingOrder.rpc, { target_subject: syllabusSubId, ordered: pendingOrder.ids });
+    if (error) {
+      setMsg({ text: writeError({ error }), error: true });
+      loadUnits();
+      loadSyllabusMaterials(syllabusSubId);
     }
   };
 
@@ -1399,28 +4399,249 @@ function AdminPanel() {
     e.preventDefault();
     if (!nTitle) return;
     if (editingNotice) {
-      const { error } = await supabase.from('notices').update({ title: nTitle, content: nContent, color: nColor }).eq('id', editingNotice.id);
-      if (error) setMsg({ text: error.message, error: true });
-      else { setEditingNotice(null); setNTitle(''); setNContent(''); setMsg({ text: 'Notice updated!', error: false }); }
+      const failure = writeError(await supabase.from('notices').update({ title: nTitle, content: nContent, color: nColor, subject_id: nSubjectId || null }).eq('id', editingNotice.id).select());
+      if (failure) setMsg({ text: failure, error: true });
+      else { setEditingNotice(null); setNTitle(''); setNContent(''); setNSubjectId(''); setMsg({ text: 'Notice updated!', error: false }); }
     } else {
-      const { error } = await supabase.from('notices').insert([{ title: nTitle, content: nContent, color: nColor }]);
-      if (error) setMsg({ text: error.message, error: true });
-      else { setNTitle(''); setNContent(''); setMsg({ text: 'Notice posted!', error: false }); }
+      const failure = writeError(await supabase.from('notices').insert([{ title: nTitle, content: nContent, color: nColor, subject_id: nSubjectId || null }]).select());
+      if (failure) setMsg({ text: failure, error: true });
+      else { setNTitle(''); setNContent(''); setNSubjectId(''); setMsg({ text: 'Notice posted!', error: false }); }
     }
   };
 
   const deleteNotice = async (id) => {
-    const { error } = await supabase.from('notices').delete().eq('id', id);
-    if (error) setMsg({ text: error.message, error: true });
+    const failure = writeError(await supabase.from('notices').delete().eq('id', id).select());
+    if (failure) setMsg({ text: failure, error: true });
     else setMsg({ text: 'Notice deleted.', error: false });
   };
 
+  const deleteStudent = async (id) => {
+    if (!window.confirm('Delete user?')) return;
+    const { error } = await supabase.rpc('delete_user', { target: id });
+    if (error) setMsg({ text: writeError({ error }), error: true });
+    else setAllStudents(prev => prev.filter(s => s.id !== id));
+  };
+
+  const loadReveals = async () => {
+    const [reveals, log, settings] = await Promise.all([
+      supabase.from('identity_reveals').select('*, message:messages(content, attachment, deleted_at, created_at, rooms(name))').eq('status', 'pending').order('created_at'),
+      supabase.from('reveal_audit_log').select('*').order('id', { ascending: false }).limit(100),
+      supabase.from('moderation_settings').select('*').single()
+    ]);
+    if (reveals.error || log.error) console.error("Reveal fetch error:", reveals.error || log.error);
+    setPendingReveals(reveals.data || []);
+    setAuditLog(log.data || []);
+    if (settings.data) {
+      setRequireRevealApproval(settings.data.require_reveal_approval);
+      setPseudonymRotationDays(settings.data.pseudonym_rotation_days);
+      setSpamLimits({
+        rate_limit_count: settings.data.rate_limit_count,
+        rate_limit_window_seconds: settings.data.rate_limit_window_seconds,
+        duplicate_window_seconds: settings.data.duplicate_window_seconds
+      });
+    }
+  };
+
+  useEffect(() => {
+    loadReveals();
+    const revealChannel = supabase.channel('reveal-audit')
+      .on('postgres_changes', { event: '*', table: 'identity_reveals' }, () => loadReveals())
+      .on('postgres_changes', { event: 'INSERT', table: 'reveal_audit_log' }, () => loadReveals())
+      .subscribe();
+    return () => {
+      supabase.removeChannel(revealChannel);
+    };
+  }, []);
+
+  const decideReveal = async (reveal, approve) => {
+    const { error } = await supabase.rpc('decide_reveal', { target: reveal.id, approve });
+    if (error) { setMsg({ text: writeError({ error }), error: true }); return; }
+    setMsg({ text: approve ? 'Reveal approved.' : 'Reveal rejected.', error: false });
+    await loadReveals();
+  };
+
+  const toggleRevealApproval = async () => {
+    const next = !requireRevealApproval;
+    if (!next && !window.confirm('Let admins reveal anonymous senders without a second approval? This change is logged.')) return;
+    const failure = writeError(await supabase.from('moderation_settings').update({ require_reveal_approval: next }).eq('id', true).select());
+    if (failure) { setMsg({ text: failure, error: true }); return; }
+    setRequireRevealApproval(next);
+    await loadReveals();
+  };
+
+  const savePseudonymRotation = async (days) => {
+    const failure = writeError(await supabase.from('moderation_settings').update({ pseudonym_rotation_days: days }).eq('id', true).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else {
+      setPseudonymRotationDays(days);
+      setMsg({ text: 'Pseudonym rotation updated.', error: false });
+    }
+  };
+
+  useEffect(() => {
+    supabase.from('blocked_words').select('*').order('word').then(({ data, error }) => {
+      if (error) console.error("Word filter fetch error:", error);
+      else setBlockedWords(data);
+    });
+  }, []);
+
+  const saveSpamLimits = async (e) => {
+    e.preventDefault();
+    const failure = writeError(await supabase.from('moderation_settings').update(spamLimits).eq('id', true).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else setMsg({ text: 'Spam limits saved.', error: false });
+  };
+
+  const addBlockedWord = async (e) => {
+    e.preventDefault();
+    if (!newWord.trim()) return;
+    const result = await supabase.from('blocked_words').insert([{ word: newWord.trim(), mode: newWordMode, created_by: user.id }]).select();
+    const failure = result.error?.code === '23505' ? 'That word is already in the filter.' : writeError(result);
+    if (failure) { setMsg({ text: failure, error: true }); return; }
+    setBlockedWords(prev => [...prev, result.data[0]].sort((a, b) => a.word.localeCompare(b.word)));
+    setNewWord('');
+  };
+
+  const setBlockedWordMode = async (entry, mode) => {
+    const result = await supabase.from('blocked_words').update({ mode }).eq('id', entry.id).select();
+    const failure = writeError(result);
+    if (failure) setMsg({ text: failure, error: true });
+    else setBlockedWords(prev => prev.map(w => w.id === entry.id ? result.data[0] : w));
+  };
+
+  const removeBlockedWord = async (entry) => {
+    const failure = writeError(await supabase.from('blocked_words').delete().eq('id', entry.id).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else setBlockedWords(prev => prev.filter(w => w.id !== entry.id));
+  };
+
+  const rotatePseudonyms = async () => {
+    if (!window.confirm('Give everyone in anonymous rooms a new pseudonym from their next message?')) return;
+    const { error } = await supabase.rpc('rotate_pseudonyms');
+    if (error) setMsg({ text: writeError({ error }), error: true });
+    else setMsg({ text: 'Pseudonyms rotated.', error: false });
+  };
+
+  const verifyAuditLog = async () => {
+    const { data: brokenAt, error } = await supabase.rpc('verify_reveal_audit');
+    if (error) setMsg({ text: writeError({ error }), error: true });
+    else if (brokenAt === null) setMsg({ text: 'Audit log verified: every entry matches its hash chain.', error: false });
+    else setMsg({ text: `Audit log has been tampered with at entry #${brokenAt}.`, error: true });
+  };
+
+  const adminName = (id) => allStudents.find(s => s.id === id)?.full_name || 'Unknown admin';
+
+  const resolveReport = async (report, outcome) => {
+    const prompts = {
+      delete: 'Delete this message for everyone?',
+      mute: 'Mute the sender for 24 hours?',
+      ban: 'Ban the sender from posting until you lift it?'
+    };
+    if (prompts[outcome] && !window.confirm(prompts[outcome])) return;
+    const { error } = await supabase.rpc('resolve_report', { target: report.id, outcome });
+    if (error) { setMsg({ text: writeError({ error }), error: true }); return; }
+    if (outcome === 'delete') await removeAttachment(report.message?.attachment);
+    setMsg({ text: outcome === 'dismiss' ? 'Report dismissed.' : 'Report resolved.', error: false });
+    await loadReports();
+    if (outcome === 'mute' || outcome === 'ban') {
+      const { data } = await supabase.from('profiles').select('*').order('full_name');
+      if (data) setAllStudents(data);
+    }
+  };
+
+  const toggleReportContext = async (message) => {
+    if (reportContext.id === message.id) {
+      setReportContext({ id: null, messages: [] });
+      return;
+    }
+    const columns = 'id, content, attachment, sender_id, is_anonymous, pseudonym, created_at, deleted_at, profiles!sender_id(full_name)';
+    const [{ data: before }, { data: after }] = await Promise.all([
+      supabase.from('messages').select(columns).eq('room_id', message.room_id).is('thread_id', null)
+        .lt('created_at', message.created_at).order('created_at', { ascending: false }).limit(REPORT_CONTEXT_SIZE),
+      supabase.from('messages').select(columns).eq('room_id', message.room_id).is('thread_id', null)
+        .gt('created_at', message.created_at).order('created_at').limit(REPORT_CONTEXT_SIZE)
+    ]);
+    setReportContext({ id: message.id, messages: [...(before || []).reverse(), message, ...(after || [])] });
+  };
+
+  // Upserting also approves any pending requests from the same students
+  const enrollStudents = async (subjectId, studentIds) => {
+    if (!subjectId || studentIds.length === 0) return;
+    const rows = studentIds.map(id => ({ subject_id: subjectId, profile_id: id, status: 'enrolled', enrolled_by: user.id }));
+    const failure = writeError(await supabase.from('enrollments').upsert(rows).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else {
+      const subjectName = subjects.find(s => s.id === subjectId)?.name;
+      setMsg({ text: studentIds.length === 1 ? `Enrolled in ${subjectName}.` : `Enrolled ${studentIds.length} students in ${subjectName}.`, error: false });
+      setSelectedStudents([]);
+      loadEnrollments();
+    }
+  };
+
+  const removeEnrollment = async (row) => {
+    const failure = writeError(await supabase.from('enrollments').delete().eq('subject_id', row.subject_id).eq('profile_id', row.profile_id).select());
+    if (failure) setMsg({ text: failure, error: true });
+    else loadEnrollments();
+  };
+
+  const students = allStudents.filter(s => s.role !== 'admin');
+  const joinRequests = enrollmentRows.filter(r => r.status === 'requested');
+
+  const toggleStudentSelection = (id) => {
+    setSelectedStudents(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]);
+  };
+
+  const liftRestrictions = async (student) => {
+    const result = await supabase.from('profiles').update({ muted_until: null, banned_at: null }).eq('id', student.id).select();
+    const failure = writeError(result);
+    if (failure) setMsg({ text: failure, error: true });
+    else {
+      setAllStudents(prev => prev.map(s => s.id === student.id ? result.data[0] : s));
+      setMsg({ text: `${student.full_name} can post again.`, error: false });
+    }
+  };
+
+  // One card per reported message, with every report filed against it
+  const reportGroups = Object.values(reports
+    .filter(r => (reportFilter === 'open') === (r.status === 'open'))
+    .reduce((groups, r) => {
+      (groups[r.message_id] ||= { message: r.message, reports: [] }).reports.push(r);
+      return groups;
+    }, {}));
+  const openReportCount = reports.filter(r => r.status === 'open').length;
+
+  const scanOrphanFiles = async () => {
+    setScanningOrphans(true);
+    const { data, error } = await supabase.rpc('orphaned_material_files');
+    setScanningOrphans(false);
+    if (error) setMsg({ text: writeError({ error }), error: true });
+    else setOrphanFiles(data);
+  };
+
+  const purgeOrphanFiles = async () => {
+    if (!window.confirm(`Permanently delete ${orphanFiles.length} files from storage?`)) return;
+    setPurgingOrphans(true);
+    const names = orphanFiles.map(f => f.name);
+    // Removed in batches to keep each Storage API request small
+    for (let i = 0; i < names.length; i += 100) {
+      const { error } = await supabase.storage.from(MATERIAL_BUCKET).remove(names.slice(i, i + 100));
+      if (error) {
+        setPurgingOrphans(false);
+        setMsg({ text: `Purge stopped: ${writeError({ error })}`, error: true });
+        scanOrphanFiles();
+        return;
+      }
+    }
+    setPurgingOrphans(false);
+    setOrphanFiles(null);
+    setMsg({ text: `Purged ${names.length} orphaned ${names.length === 1 ? 'file' : 'files'}.`, error: false });
+  };
+
   const purgeChats = async (days) => {
     if (!window.confirm(`Purge chats older than ${days} days?`)) return;
-    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-    const { error } = await supabase.from('messages').delete().lt('created_at', cutoff);
-    if (error) setMsg({ text: error.message, error: true });
-    else setMsg({ text: 'Purge successful!', error: false });
+    const { data: purged, error } = await supabase.rpc('purge_messages', { older_than_days: days });
+    if (error) setMsg({ text: writeError({ error }), error: true });
+    else setMsg({ text: `Purge successful! ${purged} messages removed.`, error: false });
   };
 
   return (
@@ -1436,7 +4657,7 @@ function AdminPanel() {
           </div>
         </div>
         <div className="p-1 glass flex rounded-2xl bg-white/5 border border-white/10 shrink-0 self-start md:self-center overflow-x-auto max-w-full">
-          {['overview', 'users', 'maint'].map(t => (
+          {['overview', 'users', 'reports', 'audit', 'maint'].map(t => (
             <button key={t} onClick={() => setActiveAdminTab(t)} className={cn("px-4 md:px-6 py-2 rounded-xl text-[10px] font-bold transition-all uppercase tracking-widest", activeAdminTab === t ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:text-white")}>{t}</button>
           ))}
         </div>
@@ -1464,7 +4685,7 @@ function AdminPanel() {
                     <span className="text-sm font-medium">{s.name}</span>
                     <div className="flex gap-2">
                       <button onClick={() => { setEditingSubject(s); setNewSubName(s.name); setNewSubDesc(s.description || ''); }} className="p-2 text-blue-400 hover:bg-blue-500/20 rounded-lg transition-colors"><Settings size={16} /></button>
-                      <button onClick={() => deleteSubject(s.id)} className="p-2 text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"><Trash2 size={16} /></button>
+                      <button onClick={() => removeSubject(s.id)} className="p-2 text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"><Trash2 size={16} /></button>
                     </div>
                   </div>
                 ))}
@@ -1474,10 +4695,16 @@ function AdminPanel() {
             <GlassCard className="space-y-4">
               <h3 className="text-lg font-bold flex items-center gap-2 text-pink-400"><Video size={20} /> {editingMaterial ? 'Edit Material' : 'Upload Materials'}</h3>
               <form onSubmit={saveMaterial} className="space-y-4">
-                <select className="glass-input w-full bg-[#1a1a2e]" value={mSubId} onChange={(e) => setMSubId(e.target.value)}>
-                  <option value="">Select Subject</option>
-                  {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
-                </select>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <select className="glass-input w-full bg-[#1a1a2e]" value={mSubId} onChange={(e) => { setMSubId(e.target.value); setMUnitId(''); }}>
+                    <option value="">Select Subject</option>
+                    {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                  <select className="glass-input w-full bg-[#1a1a2e]" value={mUnitId} onChange={(e) => setMUnitId(e.target.value)} disabled={!mSubId}>
+                    <option value="">No unit</option>
+                    {units.filter(u => u.subject_id === mSubId).map(u => <option key={u.id} value={u.id}>{u.title}</option>)}
+                  </select>
+                </div>
                 <div className="flex flex-wrap gap-2">
                   {['video', 'note', 'link'].map(type => (
                     <button key={type} type="button" onClick={() => setMType(type)} className={cn("flex-1 px-4 py-2 rounded-xl border text-xs font-bold transition-all capitalize", mType === type ? "bg-blue-600/20 border-blue-500/50 text-white" : "bg-white/5 border-transparent text-slate-400")}>{type}</button>
@@ -1485,13 +4712,162 @@ function AdminPanel() {
                 </div>
                 <input placeholder="Material Title" className="glass-input w-full" value={mTitle} onChange={(e) => setMTitle(e.target.value)} />
                 {mType === 'note' ? (
-                  <input type="file" onChange={(e) => setSelectedFile(e.target.files[0])} className="glass-input w-full text-xs" />
+                  <input type="file" accept={MATERIAL_TYPES.join(',')} onChange={(e) => setSelectedFile(e.target.files[0])} className="glass-input w-full text-xs" />
                 ) : (
                   <input placeholder="URL / Link" className="glass-input w-full" value={mContent} onChange={(e) => setMContent(e.target.value)} />
                 )}
-                <Button type="submit" disabled={uploading} className="w-full py-3">{uploading ? "Uploading..." : "Publish"}</Button>
+                <input placeholder="Tags, comma separated (exam, lab, week 3)" className="glass-input w-full" value={mTags} onChange={(e) => setMTags(e.target.value)} />
+                {editingMaterial && (
+                  <input placeholder="What changed? Shown to students in the changelog" maxLength={280} className="glass-input w-full" value={mChangeNote} onChange={(e) => setMChangeNote(e.target.value)} />
+                )}
+                <Button type="submit" disabled={uploadProgress !== null} className="w-full py-3">{uploadProgress !== null ? `Uploading ${Math.round(uploadProgress * 100)}%` : "Publish"}</Button>
               </form>
             </GlassCard>
+
+            <GlassCard className="space-y-4">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-cyan-400"><Upload size={20} /> Bulk Upload Notes</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <select className="glass-input w-full bg-[#1a1a2e]" value={bulkSubId} onChange={(e) => { setBulkSubId(e.target.value); setBulkUnitId(''); }}>
+                  <option value="">Select Subject</option>
+                  {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+                <select className="glass-input w-full bg-[#1a1a2e]" value={bulkUnitId} onChange={(e) => setBulkUnitId(e.target.value)} disabled={!bulkSubId}>
+                  <option value="">No unit</option>
+                  {units.filter(u => u.subject_id === bulkSubId).map(u => <option key={u.id} value={u.id}>{u.title}</option>)}
+                </select>
+              </div>
+              <label
+                onDragOver={(e) => { e.preventDefault(); setBulkDragging(true); }}
+                onDragLeave={() => setBulkDragging(false)}
+                onDrop={(e) => { e.preventDefault(); setBulkDragging(false); addBulkFiles(e.dataTransfer.files); }}
+                className={cn("flex flex-col items-center justify-center gap-2 p-8 rounded-2xl border-2 border-dashed cursor-pointer transition-colors text-sm", bulkDragging ? "border-blue-500 bg-blue-600/10 text-white" : "border-white/10 text-slate-400 hover:border-white/20")}
+              >
+                <Upload size={24} />
+                Drop files here or click to choose
+                <span className="text-[10px] text-slate-500">PDF, Office documents, text or images · up to {formatBytes(MATERIAL_MAX_BYTES)} each</span>
+                <input type="file" multiple accept={MATERIAL_TYPES.join(',')} className="hidden" onChange={(e) => { addBulkFiles(e.target.files); e.target.value = ''; }} />
+              </label>
+              {bulkFiles.length > 0 && (
+                <>
+                  <div className="space-y-2 max-h-96 overflow-y-auto pr-2 custom-scrollbar">
+                    {bulkFiles.map(entry => (
+                      <div key={entry.key} className="flex items-center gap-3 p-3 bg-white/5 rounded-xl border border-white/5">
+                        <FileText size={16} className={cn("shrink-0", entry.status === 'invalid' || entry.status === 'failed' ? "text-red-400" : "text-slate-400")} />
+                        <div className="flex-1 min-w-0">
+                          {entry.status === 'queued' ? (
+                            <input
+                              className="w-full bg-transparent text-sm outline-none border-b border-white/10 focus:border-blue-500"
+                              value={entry.title}
+                              disabled={bulkBusy}
+                              onChange={(e) => updateBulkFile(entry.key, { title: e.target.value })}
+                            />
+                          ) : (
+                            <div className="text-sm truncate">{entry.title}</div>
+                          )}
+                          <div className={cn("text-[10px] truncate", entry.error ? "text-red-400" : "text-slate-500")}>
+                            {entry.file.name} · {formatBytes(entry.file.size)}{entry.error && ` · ${entry.error}`}
+                          </div>
+                          {(entry.status === 'uploading' || entry.status === 'done') && (
+                            <div className="h-1 mt-1 rounded-full bg-white/10 overflow-hidden">
+                              <div className={cn("h-full transition-all", entry.status === 'done' ? "bg-green-500" : "bg-blue-500")} style={{ width: `${Math.round(entry.progress * 100)}%` }} />
+                            </div>
+                          )}
+                        </div>
+                        {entry.status === 'done' && <Check size={16} className="text-green-400 shrink-0" />}
+                        {entry.status === 'failed' && (
+                          <button onClick={() => retryBulkFile(entry)} disabled={bulkBusy} className="text-xs font-bold text-amber-400 hover:text-amber-300 disabled:opacity-50 shrink-0">Retry</button>
+                        )}
+                        {['queued', 'invalid', 'failed'].includes(entry.status) && (
+                          <button onClick={() => setBulkFiles(prev => prev.filter(f => f.key !== entry.key))} disabled={bulkBusy} className="p-1 text-slate-500 hover:text-red-400 shrink-0"><X size={14} /></button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="secondary" onClick={() => setBulkFiles(prev => prev.filter(f => f.status !== 'done' && f.status !== 'invalid'))} disabled={bulkBusy} className="flex-1">
+                      Clear finished
+                    </Button>
+                    <Button onClick={uploadBulkFiles} disabled={bulkBusy || bulkQueuedCount === 0} className="flex-1">
+                      {bulkBusy ? 'Uploading...' : `Upload ${bulkQueuedCount} ${bulkQueuedCount === 1 ? 'file' : 'files'}`}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </GlassCard>
+
+            <GlassCard className="space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <h3 className="text-lg font-bold flex items-center gap-2 text-emerald-400"><Layers size={20} /> Syllabus</h3>
+                <select className="glass-input bg-[#1a1a2e] text-xs py-2" value={syllabusSubId} onChange={(e) => { setSyllabusSubId(e.target.value); setEditingUnit(null); }}>
+                  <option value="">Select Subject</option>
+                  {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+              </div>
+              {syllabusSubId ? (
+                <>
+                  <form onSubmit={addUnit} className="flex gap-2">
+                    <input placeholder="New unit, e.g. Unit 1: Kinematics" maxLength={120} className="glass-input flex-1" value={newUnitTitle} onChange={(e) => setNewUnitTitle(e.target.value)} />
+                    <Button type="submit" disabled={!newUnitTitle.trim()}><Plus size={16} /> Add unit</Button>
+                  </form>
+
+                  {syllabusUnits.length > 0 && (
+                    <Reorder.Group axis="y" values={syllabusUnits} onReorder={reorderUnits} className="space-y-2">
+                      {syllabusUnits.map(u => (
+                        <Reorder.Item key={u.id} value={u} onDragEnd={savePendingOrder} className="flex items-center gap-3 p-3 bg-white/5 rounded-xl border border-white/5 cursor-grab active:cursor-grabbing">
+                          <GripVertical size={16} className="text-slate-500 shrink-0" />
+                          {editingUnit?.id === u.id ? (
+                            <form onSubmit={renameUnit} className="flex-1 flex gap-2">
+                              <input autoFocus maxLength={120} className="glass-input flex-1 py-1.5 text-sm" value={editingUnit.title} onChange={(e) => setEditingUnit({ ...editingUnit, title: e.target.value })} />
+                              <button type="submit" className="p-2 text-green-400 hover:bg-green-500/20 rounded-lg"><Check size={16} /></button>
+                              <button type="button" onClick={() => setEditingUnit(null)} className="p-2 text-slate-400 hover:bg-white/10 rounded-lg"><X size={16} /></button>
+                            </form>
+                          ) : (
+                            <>
+                              <span className="flex-1 text-sm font-medium truncate">{u.title}</span>
+                              <button onClick={() => setEditingUnit({ id: u.id, title: u.title })} className="p-2 text-blue-400 hover:bg-blue-500/20 rounded-lg transition-colors"><Pencil size={14} /></button>
+                              <button onClick={() => deleteUnit(u)} className="p-2 text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"><Trash2 size={14} /></button>
+                            </>
+                          )}
+                        </Reorder.Item>
+                      ))}
+                    </Reorder.Group>
+                  )}
+
+                  {syllabusMaterials.length === 0 ? (
+                    <p className="text-sm text-slate-500 italic">No materials in this subject yet.</p>
+                  ) : syllabusSections.filter(section => section.items.length > 0).map(section => (
+                    <div key={section.id || 'none'} className="space-y-2">
+                      <h4 className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">{section.title}</h4>
+                      <Reorder.Group axis="y" values={section.items} onReorder={(items) => reorderSection(section.id, items)} className="space-y-2">
+                        {section.items.map(m => (
+                          <Reorder.Item key={m.id} value={m} onDragEnd={savePendingOrder} className="flex items-center gap-3 p-3 bg-white/5 rounded-xl border border-white/5 cursor-grab active:cursor-grabbing">
+                            <GripVertical size={16} className="text-slate-500 shrink-0" />
+                            <div className="text-blue-400 shrink-0">
+                              {m.type === 'video' ? <Video size={14} /> : m.type === 'note' ? <FileText size={14} /> : <LinkIcon size={14} />}
+                            </div>
+                            <div className="flex-1 min-w-0">
+                              <p className="text-sm truncate">{m.title}</p>
+                              {m.tags?.length > 0 && <p className="text-[10px] text-purple-300 truncate">{m.tags.join(' · ')}</p>}
+                            </div>
+                            <select
+                              className="glass-input bg-[#1a1a2e] text-[10px] py-1 px-2 max-w-[140px]"
+                              value={syllabusUnits.some(u => u.id === m.unit_id) ? m.unit_id : ''}
+                              onChange={(e) => moveMaterial(m, e.target.value)}
+                            >
+                              <option value="">No unit</option>
+                              {syllabusUnits.map(u => <option key={u.id} value={u.id}>{u.title}</option>)}
+                            </select>
+                            <button onClick={() => editMaterial(m)} className="p-2 text-blue-400 hover:bg-blue-500/20 rounded-lg transition-colors"><Settings size={14} /></button>
+                          </Reorder.Item>
+                        ))}
+                      </Reorder.Group>
+                    </div>
+                  ))}
+                </>
+              ) : (
+                <p className="text-sm text-slate-500 italic">Choose a subject to organise its units and drag materials into order.</p>
+              )}
+            </GlassCard>
           </div>
 
           <div className="space-y-8">
@@ -1500,6 +4876,10 @@ function AdminPanel() {
               <form onSubmit={saveNotice} className="space-y-4">
                 <input placeholder="Title" className="glass-input w-full" value={nTitle} onChange={(e) => setNTitle(e.target.value)} />
                 <textarea placeholder="Content..." className="glass-input w-full h-32" value={nContent} onChange={(e) => setNContent(e.target.value)} />
+                <select className="glass-input w-full bg-[#1a1a2e]" value={nSubjectId} onChange={(e) => setNSubjectId(e.target.value)}>
+                  <option value="">Everyone</option>
+                  {subjects.map(s => <option key={s.id} value={s.id}>Enrolled in {s.name}</option>)}
+                </select>
                 <div className="flex gap-2">
                   {['blue', 'red'].map(c => (
                     <button key={c} type="button" onClick={() => setNColor(c)} className={cn("flex-1 p-2 rounded-xl border flex items-center justify-center gap-2 text-xs", nColor === c ? "bg-blue-600/10 border-blue-400" : "border-white/5")}>
@@ -1514,9 +4894,12 @@ function AdminPanel() {
               {notices.map(n => (
                 <div key={n.id} className="glass p-4 rounded-2xl border border-white/5">
                   <div className="flex justify-between items-start">
-                    <h5 className="text-sm font-bold truncate pr-4">{n.title}</h5>
+                    <div className="min-w-0 pr-4">
+                      <h5 className="text-sm font-bold truncate">{n.title}</h5>
+                      <p className="text-[10px] text-slate-500">{n.subject_id ? subjects.find(s => s.id === n.subject_id)?.name : 'Everyone'}</p>
+                    </div>
                     <div className="flex gap-1 shrink-0">
-                      <button onClick={() => { setEditingNotice(n); setNTitle(n.title); setNContent(n.content); setNColor(n.color); }} className="p-1.5 text-blue-400"><Settings size={14} /></button>
+                      <button onClick={() => { setEditingNotice(n); setNTitle(n.title); setNContent(n.content); setNColor(n.color); setNSubjectId(n.subject_id || ''); }} className="p-1.5 text-blue-400"><Settings size={14} /></button>
                       <button onClick={() => deleteNotice(n.id)} className="p-1.5 text-red-400"><Trash2 size={14} /></button>
                     </div>
                   </div>
@@ -1528,14 +4911,48 @@ function AdminPanel() {
       )}
 
       {activeAdminTab === 'users' && (
+        <div className="space-y-6">
+        {joinRequests.length > 0 && (
+          <GlassCard className="space-y-3 border-blue-500/20">
+            <h3 className="text-lg font-bold flex items-center gap-2 text-blue-400"><BookOpen size={20} /> Join Requests <span className="text-xs text-slate-500 font-medium">{joinRequests.length} pending</span></h3>
+            {joinRequests.map(r => (
+              <div key={`${r.subject_id}:${r.profile_id}`} className="flex items-center gap-3 p-3 rounded-2xl bg-white/5">
+                <div className="flex-1 min-w-0 text-sm">
+                  <span className="font-medium">{allStudents.find(s => s.id === r.profile_id)?.full_name || 'Unknown student'}</span>
+                  <span className="text-slate-500"> wants to join </span>
+                  <span className="font-medium">{subjects.find(s => s.id === r.subject_id)?.name}</span>
+                </div>
+                <Button onClick={() => enrollStudents(r.subject_id, [r.profile_id])} className="text-xs py-1.5">Approve</Button>
+                <Button variant="secondary" onClick={() => removeEnrollment(r)} className="text-xs py-1.5">Decline</Button>
+              </div>
+            ))}
+          </GlassCard>
+        )}
         <GlassCard className="p-0 overflow-hidden">
-          <div className="p-6 border-b border-white/5 bg-white/5"><h3 className="text-lg font-bold">Student Directory</h3></div>
+          <div className="p-6 border-b border-white/5 bg-white/5 flex flex-wrap items-center gap-3">
+            <h3 className="text-lg font-bold flex-1">Student Directory</h3>
+            <select className="glass-input bg-[#1a1a2e] text-xs py-2" value={bulkSubjectId} onChange={(e) => setBulkSubjectId(e.target.value)}>
+              <option value="">Choose subject...</option>
+              {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+            <Button onClick={() => enrollStudents(bulkSubjectId, selectedStudents)} disabled={!bulkSubjectId || selectedStudents.length === 0} className="text-xs py-2">
+              Enroll selected ({selectedStudents.length})
+            </Button>
+          </div>
           <div className="overflow-x-auto">
             <table className="w-full text-left">
               <thead>
                 <tr className="text-[10px] text-slate-500 uppercase tracking-widest border-b border-white/5">
+                  <th className="pl-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={students.length > 0 && selectedStudents.length === students.length}
+                      onChange={(e) => setSelectedStudents(e.target.checked ? students.map(s => s.id) : [])}
+                    />
+                  </th>
                   <th className="px-6 py-4">Student</th>
                   <th className="px-6 py-4">Phone Number</th>
+                  <th className="px-6 py-4">Subjects</th>
                   <th className="px-6 py-4">Status</th>
                   <th className="px-6 py-4">Actions</th>
                 </tr>
@@ -1543,20 +4960,46 @@ function AdminPanel() {
               <tbody className="divide-y divide-white/5">
                 {allStudents.map(student => (
                   <tr key={student.id} className="hover:bg-white/5 transition-colors">
+                    <td className="pl-6 py-4">
+                      {student.role !== 'admin' && <input type="checkbox" checked={selectedStudents.includes(student.id)} onChange={() => toggleStudentSelection(student.id)} />}
+                    </td>
                     <td className="px-6 py-4 flex items-center gap-3"><span className="text-sm font-medium">{student.full_name}</span></td>
                     <td className="px-6 py-4 text-sm text-slate-400 font-mono">{student.student_id}</td>
                     <td className="px-6 py-4">
-                      <div className="flex items-center gap-2"><div className={cn("w-2 h-2 rounded-full", student.is_online ? "bg-green-500" : "bg-slate-600")} /><span className="text-xs">{student.is_online ? "Online" : "Offline"}</span></div>
+                      {student.role === 'admin' ? (
+                        <span className="text-xs text-slate-500">Admin · all subjects</span>
+                      ) : (
+                        <div className="flex flex-wrap items-center gap-1 max-w-xs">
+                          {enrollmentRows.filter(r => r.profile_id === student.id && r.status === 'enrolled').map(r => (
+                            <span key={r.subject_id} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-blue-500/10 text-blue-300 text-[10px] font-bold">
+                              {subjects.find(s => s.id === r.subject_id)?.name}
+                              <button onClick={() => removeEnrollment(r)} title="Remove from subject" className="hover:text-red-400"><X size={10} /></button>
+                            </span>
+                          ))}
+                          <select
+                            className="glass-input bg-[#1a1a2e] text-[10px] py-1 px-2"
+                            value=""
+                            onChange={(e) => enrollStudents(e.target.value, [student.id])}
+                          >
+                            <option value="">Enroll in...</option>
+                            {subjects
+                              .filter(s => !enrollmentRows.some(r => r.profile_id === student.id && r.subject_id === s.id && r.status === 'enrolled'))
+                              .map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                          </select>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-2"><div className={cn("w-2 h-2 rounded-full", presence[student.id] === 'online' ? "bg-green-500" : presence[student.id] === 'away' ? "bg-amber-400" : "bg-slate-600")} /><span className="text-xs">{presence[student.id] === 'online' ? "Online" : presence[student.id] === 'away' ? "Away" : formatLastSeen(student.last_seen_at)}</span></div>
+                      {restrictionLabel(student) && <div className="text-[10px] font-bold text-red-400 mt-1">{restrictionLabel(student)}</div>}
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
+                        {restrictionLabel(student) && (
+                          <button onClick={() => liftRestrictions(student)} title="Lift mute or ban" className="p-1.5 text-green-400 hover:bg-green-600/10 rounded-lg"><ShieldAlert size={14} /></button>
+                        )}
                         <button className="p-1.5 text-blue-400 hover:bg-blue-600/10 rounded-lg"><Settings size={14} /></button>
-                        <button onClick={async () => {
-                          if (window.confirm('Delete user?')) {
-                            await supabase.from('profiles').delete().eq('id', student.id);
-                            setAllStudents(prev => prev.filter(s => s.id !== student.id));
-                          }
-                        }} className="p-1.5 text-red-400 hover:bg-red-600/10 rounded-lg"><Trash2 size={14} /></button>
+                        <button onClick={() => deleteStudent(student.id)} className="p-1.5 text-red-400 hover:bg-red-600/10 rounded-lg"><Trash2 size={14} /></button>
                       </div>
                     </td>
                   </tr>
@@ -1565,6 +5008,147 @@ function AdminPanel() {
             </table>
           </div>
         </GlassCard>
+        </div>
+      )}
+
+      {activeAdminTab === 'reports' && (
+        <div className="space-y-6">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-bold flex items-center gap-2 text-amber-400"><Flag size={20} /> Moderation Queue <span className="text-xs text-slate-500 font-medium">{openReportCount} open</span></h3>
+            <div className="p-1 flex rounded-xl bg-white/5 border border-white/10">
+              {['open', 'resolved'].map(f => (
+                <button key={f} onClick={() => setReportFilter(f)} className={cn("px-4 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all", reportFilter === f ? "bg-white/10 text-white" : "text-slate-500 hover:text-white")}>{f}</button>
+              ))}
+            </div>
+          </div>
+          {reportGroups.length === 0 && (
+            <GlassCard className="text-center text-sm text-slate-500 py-12">{reportFilter === 'open' ? 'Nothing to review.' : 'No resolved reports yet.'}</GlassCard>
+          )}
+          {reportGroups.map(({ message, reports: filed }) => (
+            <GlassCard key={message.id} className="space-y-4">
+              <div className="flex flex-wrap items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-slate-500">
+                <span className="flex items-center gap-1">{message.rooms?.type === 'anonymous' ? <Ghost size={12} /> : <Hash size={12} />} {message.rooms?.name}</span>
+                <span>·</span>
+                {message.is_anonymous ? (
+                  <span className="px-2 py-0.5 rounded-full bg-purple-500/10 text-purple-300">Anonymous · {senderLabel(message)}</span>
+                ) : (
+                  <>
+                    <span className="text-white normal-case tracking-normal text-xs">{message.profiles?.full_name}</span>
+                    <span className="font-mono normal-case tracking-normal">{message.profiles?.student_id}</span>
+                  </>
+                )}
+                {restrictionLabel(message.profiles) && <span className="px-2 py-0.5 rounded-full bg-red-500/10 text-red-400">{restrictionLabel(message.profiles)}</span>}
+                <span className="ml-auto normal-case tracking-normal font-medium">{new Date(message.created_at).toLocaleString()}</span>
+              </div>
+              <p className={cn("p-4 rounded-2xl bg-white/5 text-sm", message.deleted_at && "italic text-slate-500")}>
+                {message.deleted_at ? 'Message deleted' : message.content || message.attachment?.name}
+              </p>
+              <div className="space-y-2">
+                {filed.map(r => (
+                  <div key={r.id} className="text-xs text-slate-400 flex flex-wrap gap-x-2">
+                    <span className="font-bold text-amber-400">{REPORT_REASON_LABELS[r.reason]}</span>
+                    <span>by {r.reporter?.full_name || 'the word filter'}</span>
+                    {r.details && <span className="text-slate-300">— {r.details}</span>}
+                    {r.status !== 'open' && <span className="text-slate-500">({reportStatusLabel(r).split(' · ')[1]})</span>}
+                  </div>
+                ))}
+              </div>
+              {reportContext.id === message.id && (
+                <div className="space-y-1 p-3 rounded-2xl border border-white/5">
+                  {reportContext.messages.map(m => (
+                    <div key={m.id} className={cn("text-xs", m.id === message.id ? "text-amber-300 font-semibold" : "text-slate-400")}>
+                      <span className="font-mono text-[10px] text-slate-500 mr-2">{new Date(m.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                      <span className="font-bold mr-2">{senderLabel(m)}:</span>
+                      {m.deleted_at ? <span className="italic">deleted</span> : m.content || m.attachment?.name}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <Button variant="secondary" onClick={() => toggleReportContext(message)} className="text-xs py-1.5">
+                  {reportContext.id === message.id ? 'Hide context' : 'Show context'}
+                </Button>
+                {reportFilter === 'open' && (
+                  <>
+                    <Button variant="secondary" onClick={() => resolveReport(filed[0], 'dismiss')} className="text-xs py-1.5">Dismiss</Button>
+                    {!message.deleted_at && <Button variant="danger" onClick={() => resolveReport(filed[0], 'delete')} className="text-xs py-1.5">Delete message</Button>}
+                    <Button variant="danger" onClick={() => resolveReport(filed[0], 'mute')} className="text-xs py-1.5">Mute 24h</Button>
+                    <Button variant="danger" onClick={() => resolveReport(filed[0], 'ban')} className="text-xs py-1.5">Ban sender</Button>
+                  </>
+                )}
+              </div>
+            </GlassCard>
+          ))}
+        </div>
+      )}
+
+      {activeAdminTab === 'audit' && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="space-y-8">
+            <GlassCard className="space-y-4">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-amber-400"><Eye size={20} /> Identity Reveals</h3>
+              <p className="text-xs text-slate-400">Anonymous senders are hidden in the database. Admins reveal one message at a time from the chat, with a written justification.</p>
+              <button onClick={toggleRevealApproval} className="w-full flex items-center justify-between p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-white/10 transition-all text-sm font-medium">
+                Require a second admin to approve
+                <div className={cn("w-10 h-6 rounded-full p-1 transition-colors", requireRevealApproval ? "bg-green-500" : "bg-slate-700")}>
+                  <div className={cn("w-4 h-4 rounded-full bg-white transition-transform", requireRevealApproval && "translate-x-4")} />
+                </div>
+              </button>
+            </GlassCard>
+
+            <GlassCard className="space-y-4">
+              <h3 className="text-sm font-bold uppercase tracking-widest text-slate-400">Awaiting approval</h3>
+              {pendingReveals.length === 0 && <p className="text-xs text-slate-500">No pending requests.</p>}
+              {pendingReveals.map(reveal => (
+                <div key={reveal.id} className="p-4 rounded-2xl bg-white/5 border border-white/5 space-y-3">
+                  <div className="text-[10px] text-slate-500 uppercase tracking-widest">{adminName(reveal.requested_by)} · {reveal.message?.rooms?.name}</div>
+                  <p className="text-xs italic text-slate-400 line-clamp-2">"{reveal.message?.deleted_at ? 'Message deleted' : reveal.message?.content || reveal.message?.attachment?.name}"</p>
+                  <p className="text-sm">{reveal.justification}</p>
+                  {reveal.requested_by === user.id ? (
+                    <p className="text-[10px] text-amber-400">Waiting for another admin.</p>
+                  ) : (
+                    <div className="flex gap-2">
+                      <Button onClick={() => decideReveal(reveal, true)} className="flex-1 text-xs py-1.5">Approve</Button>
+                      <Button variant="danger" onClick={() => decideReveal(reveal, false)} className="flex-1 text-xs py-1.5">Reject</Button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </GlassCard>
+          </div>
+
+          <GlassCard className="lg:col-span-2 p-0 overflow-hidden">
+            <div className="p-6 border-b border-white/5 bg-white/5 flex items-center justify-between">
+              <h3 className="text-lg font-bold">Reveal Audit Log</h3>
+              <Button variant="secondary" onClick={verifyAuditLog} className="text-xs py-1.5"><ShieldAlert size={14} /> Verify chain</Button>
+            </div>
+            <div className="overflow-x-auto max-h-[600px] custom-scrollbar">
+              <table className="w-full text-left">
+                <thead>
+                  <tr className="text-[10px] text-slate-500 uppercase tracking-widest border-b border-white/5">
+                    <th className="px-6 py-4">When</th>
+                    <th className="px-6 py-4">Event</th>
+                    <th className="px-6 py-4">Admin</th>
+                    <th className="px-6 py-4">Details</th>
+                    <th className="px-6 py-4">Hash</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/5">
+                  {auditLog.map(entry => (
+                    <tr key={entry.id} className="text-xs">
+                      <td className="px-6 py-3 text-slate-400 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                      <td className={cn("px-6 py-3 font-bold whitespace-nowrap", entry.event === 'revealed' ? "text-amber-400" : "text-slate-300")}>{REVEAL_EVENT_LABELS[entry.event]}</td>
+                      <td className="px-6 py-3">{adminName(entry.actor_id)}</td>
+                      <td className="px-6 py-3 text-slate-400">{entry.details}</td>
+                      <td className="px-6 py-3 font-mono text-[10px] text-slate-500" title={entry.hash}>{entry.hash.slice(0, 10)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {auditLog.length === 0 && <p className="p-6 text-xs text-slate-500 text-center">No reveals have been requested.</p>}
+            </div>
+          </GlassCard>
+        </div>
       )}
 
       {activeAdminTab === 'maint' && (
@@ -1582,39 +5166,141 @@ function AdminPanel() {
               </div>
             </GlassCard>
 
+            <GlassCard className="space-y-6">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-pink-400"><FileText size={24} /> Orphaned Files</h3>
+              <p className="text-xs text-slate-400">Uploaded notes that no material uses any more. Run a dry run first to see what would be deleted.</p>
+              {orphanFiles && (orphanFiles.length === 0 ? (
+                <p className="text-sm text-slate-500 italic">No orphaned files.</p>
+              ) : (
+                <div className="space-y-2">
+                  <p className="text-sm font-medium">
+                    {orphanFiles.length} {orphanFiles.length === 1 ? 'file' : 'files'} · {formatBytes(orphanFiles.reduce((sum, f) => sum + Number(f.size), 0))}
+                  </p>
+                  <div className="max-h-48 overflow-y-auto space-y-1 pr-2 custom-scrollbar">
+                    {orphanFiles.map(f => (
+                      <div key={f.name} className="flex items-center gap-3 text-xs text-slate-400">
+                        <span className="flex-1 font-mono truncate">{f.name}</span>
+                        <span>{formatBytes(Number(f.size))}</span>
+                        <span className="text-slate-500">{new Date(f.created_at).toLocaleDateString()}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={scanOrphanFiles} disabled={scanningOrphans || purgingOrphans} className="flex-1">
+                  {scanningOrphans ? 'Scanning...' : orphanFiles ? 'Scan again' : 'Dry run'}
+                </Button>
+                {orphanFiles?.length > 0 && (
+                  <Button variant="danger" onClick={purgeOrphanFiles} disabled={scanningOrphans || purgingOrphans} className="flex-1">
+                    {purgingOrphans ? 'Purging...' : `Purge ${orphanFiles.length}`}
+                  </Button>
+                )}
+              </div>
+            </GlassCard>
+
+            <GlassCard className="space-y-6">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-purple-400"><Ghost size={24} /> Anonymous Pseudonyms</h3>
+              <p className="text-xs text-slate-400">Senders keep one pseudonym per room until the next rotation.</p>
+              <div className="grid grid-cols-4 gap-2">
+                {[[1, 'Daily'], [7, 'Weekly'], [30, 'Monthly'], [0, 'Never']].map(([days, label]) => (
+                  <button key={days} onClick={() => savePseudonymRotation(days)} className={cn("p-3 rounded-xl border text-xs font-bold transition-all", pseudonymRotationDays === days ? "bg-purple-600/20 border-purple-500/50 text-white" : "bg-white/5 border-transparent text-slate-400 hover:text-white")}>{label}</button>
+                ))}
+              </div>
+              <button onClick={rotatePseudonyms} className="w-full flex items-center justify-between p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-purple-500/10 transition-all text-sm font-medium">
+                Rotate now
+                <ChevronRight size={18} />
+              </button>
+            </GlassCard>
+
             <GlassCard className="space-y-6">
               <h3 className="text-lg font-bold flex items-center gap-2 text-blue-400"><Clock size={24} /> System Health</h3>
               <div className="grid grid-cols-2 gap-4">
                 <div className="p-4 rounded-2xl bg-white/5 text-center"><div className="text-2xl font-bold">{rooms.length}</div><div className="text-[10px] text-slate-500">Rooms</div></div>
-                <div className="p-4 rounded-2xl bg-white/5 text-center"><div className="text-2xl font-bold">{allStudents.filter(s => s.is_online).length}</div><div className="text-[10px] text-slate-500">Online</div></div>
+                <div className="p-4 rounded-2xl bg-white/5 text-center"><div className="text-2xl font-bold">{Object.values(presence).filter(s => s === 'online').length}</div><div className="text-[10px] text-slate-500">Online</div></div>
               </div>
             </GlassCard>
           </div>
 
-          <GlassCard className="space-y-6">
-            <h3 className="text-lg font-bold flex items-center gap-2 text-purple-400"><MessageSquare size={24} /> Manage Rooms</h3>
-            <div className="space-y-3 max-h-[600px] overflow-y-auto pr-2 custom-scrollbar">
-              {rooms.map(room => (
-                <div key={room.id} className="flex items-center justify-between p-4 bg-white/5 rounded-2xl border border-white/5 group">
-                  <div className="flex items-center gap-4">
-                    <div className="w-10 h-10 rounded-xl bg-blue-600/20 text-blue-400 flex items-center justify-center">
-                      {room.type === 'anonymous' ? <Ghost size={20} /> : <Hash size={20} />}
-                    </div>
-                    <div>
-                      <div className="text-sm font-bold">{room.name}</div>
-                      <div className="text-[10px] text-slate-500 uppercase tracking-widest">{room.type}</div>
+          <div className="space-y-8">
+            <GlassCard className="space-y-6">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-purple-400"><MessageSquare size={24} /> Manage Rooms</h3>
+              <div className="space-y-3 max-h-[600px] overflow-y-auto pr-2 custom-scrollbar">
+                {rooms.map(room => (
+                  <div key={room.id} className="flex items-center justify-between p-4 bg-white/5 rounded-2xl border border-white/5 group">
+                    <div className="flex items-center gap-4">
+                      <div className="w-10 h-10 rounded-xl bg-blue-600/20 text-blue-400 flex items-center justify-center">
+                        {room.type === 'anonymous' ? <Ghost size={20} /> : <Hash size={20} />}
+                      </div>
+                      <div>
+                        <div className="text-sm font-bold">{room.name}</div>
+                        <div className="text-[10px] text-slate-500 uppercase tracking-widest">
+                          {room.archived_at ? 'archived' : room.subject_id ? 'subject discussion' : room.type}
+                        </div>
+                      </div>
                     </div>
+                    <button
+                      onClick={() => deleteRoom(room.id)}
+                      className="p-3 text-red-400 opacity-0 group-hover:opacity-100 hover:bg-red-500/10 rounded-xl transition-all"
+                    >
+                      <Trash2 size={18} />
+                    </button>
                   </div>
-                  <button
-                    onClick={() => deleteRoom(room.id)}
-                    className="p-3 text-red-400 opacity-0 group-hover:opacity-100 hover:bg-red-500/10 rounded-xl transition-all"
-                  >
-                    <Trash2 size={18} />
-                  </button>
+                ))}
+              </div>
+            </GlassCard>
+
+            <GlassCard className="space-y-6">
+              <h3 className="text-lg font-bold flex items-center gap-2 text-amber-400"><ShieldAlert size={24} /> Spam Protection</h3>
+              <form onSubmit={saveSpamLimits} className="space-y-3">
+                {[
+                  ['rate_limit_count', 'Messages allowed per window'],
+                  ['rate_limit_window_seconds', 'Rate limit window (seconds)'],
+                  ['duplicate_window_seconds', 'Block repeats within (seconds, 0 = off)']
+                ].map(([key, label]) => (
+                  <label key={key} className="flex items-center justify-between gap-4 text-sm text-slate-300">
+                    {label}
+                    <input
+                      type="number"
+                      min={key === 'duplicate_window_seconds' ? 0 : 1}
+                      className="glass-input w-24 text-right"
+                      value={spamLimits[key]}
+                      onChange={(e) => setSpamLimits(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+                    />
+                  </label>
+                ))}
+                <Button type="submit" className="w-full py-2">Save Limits</Button>
+              </form>
+
+              <div className="space-y-3 pt-2 border-t border-white/5">
+                <h4 className="text-sm font-bold text-slate-300">Word Filter</h4>
+                <form onSubmit={addBlockedWord} className="flex gap-2">
+                  <input placeholder="Word or phrase" className="glass-input flex-1 py-2 text-sm" value={newWord} onChange={(e) => setNewWord(e.target.value)} />
+                  <select className="glass-input bg-[#1a1a2e] py-2 text-sm" value={newWordMode} onChange={(e) => setNewWordMode(e.target.value)}>
+                    <option value="block">Block</option>
+                    <option value="mask">Mask</option>
+                    <option value="flag">Flag</option>
+                  </select>
+                  <Button type="submit" className="px-3"><Plus size={16} /></Button>
+                </form>
+                <p className="text-[10px] text-slate-500">Block rejects the message, mask replaces the word with ***, flag posts it and files a report in the moderation queue.</p>
+                <div className="space-y-2 max-h-[300px] overflow-y-auto pr-2 custom-scrollbar">
+                  {blockedWords.length === 0 && <p className="text-xs text-slate-500">No filtered words.</p>}
+                  {blockedWords.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-xl border border-white/5">
+                      <span className="text-sm font-mono truncate">{entry.word}</span>
+                      <div className="flex items-center gap-1 shrink-0">
+                        {['block', 'mask', 'flag'].map(mode => (
+                          <button key={mode} onClick={() => setBlockedWordMode(entry, mode)} className={cn("px-2 py-1 rounded-lg text-[10px] font-bold uppercase transition-all", entry.mode === mode ? "bg-amber-500/20 text-amber-300" : "text-slate-500 hover:text-white")}>{mode}</button>
+                        ))}
+                        <button onClick={() => removeBlockedWord(entry)} className="p-1.5 text-red-400 hover:bg-red-500/20 rounded-lg"><Trash2 size={14} /></button>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-          </GlassCard>
+              </div>
+            </GlassCard>
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,29 @@
+-- Local development only: seeded by `supabase start` after ../supabase_schema.sql and
+-- never run against a hosted project.
+--
+-- SMS stand-in: config.toml points the Auth "Send SMS" hook here, so the local stack
+-- never talks to a real SMS provider. Read codes with:
+--   select phone, otp, created_at from public.sms_outbox order by created_at desc;
+-- Hosted projects should configure Twilio/MessageBird instead and leave the hook off.
+drop table if exists public.sms_outbox cascade;
+create table public.sms_outbox (
+  id bigint generated always as identity primary key,
+  phone text not null,
+  otp text not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+alter table public.sms_outbox enable row level security;
+
+create or replace function public.dev_send_sms(event jsonb)
+returns jsonb language plpgsql security definer set search_path = public as $$
+begin
+  insert into public.sms_outbox (phone, otp)
+  values (event->'user'->>'phone', event->'sms'->>'otp');
+  raise log 'CampusConnect dev SMS to %: %', event->'user'->>'phone', event->'sms'->>'otp';
+  return '{}'::jsonb;
+end;
+$$;
+
+grant execute on function public.dev_send_sms(jsonb) to supabase_auth_admin;
+revoke execute on function public.dev_send_sms(jsonb) from authenticated, anon, public;
@@ -0,0 +1,77 @@
+-- A student session must not be able to make admin-only writes. Run with `supabase test db`.
+begin;
+create extension if not exists pgtap with schema extensions;
+select plan(11);
+
+-- Fixtures are written as postgres, which bypasses RLS. The student is enrolled so the
+-- materials they try to change are ones they can read.
+insert into auth.users (id, phone) values ('00000000-0000-0000-0000-0000000000a1', '15550000001');
+insert into public.subjects (id, name) values ('00000000-0000-0000-0000-0000000000b1', 'RLS Test Subject');
+insert into public.enrollments (subject_id, profile_id, status)
+values ('00000000-0000-0000-0000-0000000000b1', '00000000-0000-0000-0000-0000000000a1', 'enrolled');
+insert into public.materials (id, subject_id, type, title, content)
+values ('00000000-0000-0000-0000-0000000000c1', '00000000-0000-0000-0000-0000000000b1', 'link', 'Syllabus', 'https://example.com/syllabus');
+insert into public.notices (id, title) values ('00000000-0000-0000-0000-0000000000d1', 'Exam on Friday');
+
+set local role authenticated;
+select set_config('request.jwt.claims', '{"sub": "00000000-0000-0000-0000-0000000000a1", "role": "authenticated"}', true);
+
+select throws_ok(
+  $$ insert into public.subjects (name) values ('Student subject') $$,
+  '42501', null, 'Students cannot create subjects'
+);
+select throws_ok(
+  $$ insert into public.materials (subject_id, type, title, content)
+     values ('00000000-0000-0000-0000-0000000000b1', 'link', 'Student link', 'https://example.com') $$,
+  '42501', null, 'Students cannot add materials'
+);
+select throws_ok(
+  $$ insert into public.notices (title) values ('Student notice') $$,
+  '42501', null, 'Students cannot post notices'
+);
+select throws_ok(
+  $$ update public.profiles set role = 'admin' where id = '00000000-0000-0000-0000-0000000000a1' $$,
+  '42501', null, 'Students cannot promote themselves'
+);
+select throws_ok(
+  $$ select public.purge_messages(0) $$,
+  '42501', 'Only admins can purge chats', 'Students cannot purge chats'
+);
+
+-- Updates and deletes that RLS filters out affect no rows rather than failing
+update public.subjects set name = 'Renamed by student' where id = '00000000-0000-0000-0000-0000000000b1';
+update public.materials set title = 'Renamed by student' where id = '00000000-0000-0000-0000-0000000000c1';
+update public.notices set title = 'Renamed by student' where id = '00000000-0000-0000-0000-0000000000d1';
+delete from public.subjects where id = '00000000-0000-0000-0000-0000000000b1';
+delete from public.materials where id = '00000000-0000-0000-0000-0000000000c1';
+delete from public.notices where id = '00000000-0000-0000-0000-0000000000d1';
+
+reset role;
+
+select is(
+  (select name from public.subjects where id = '00000000-0000-0000-0000-0000000000b1'),
+  'RLS Test Subject', 'Students cannot rename or delete subjects'
+);
+select is(
+  (select title from public.materials where id = '00000000-0000-0000-0000-0000000000c1'),
+  'Syllabus', 'Students cannot edit or delete materials'
+);
+select is(
+  (select title from public.notices where id = '00000000-0000-0000-0000-0000000000d1'),
+  'Exam on Friday', 'Students cannot edit or delete notices'
+);
+select is(
+  (select role from public.profiles where id = '00000000-0000-0000-0000-0000000000a1'),
+  'student', 'The student is still a student'
+);
+select is(
+  (select count(*) from public.subjects where name in ('Student subject', 'Renamed by student')),
+  0::bigint, 'No student-written subjects exist'
+);
+select is(
+  (select count(*) from public.notices where title in ('Student notice', 'Renamed by student')),
+  0::bigint, 'No student-written notices exist'
+);
+
+select * from finish();
+rollback;
@@ -4,69 +4,672 @@
 -- 0. Clean up existing tables
 DROP TABLE IF EXISTS public.profiles CASCADE;
 DROP TABLE IF EXISTS public.subjects CASCADE;
+DROP TABLE IF EXISTS public.enrollments CASCADE;
+DROP TABLE IF EXISTS public.units CASCADE;
 DROP TABLE IF EXISTS public.materials CASCADE;
+DROP TABLE IF EXISTS public.material_versions CASCADE;
 DROP TABLE IF EXISTS public.rooms CASCADE;
+DROP TABLE IF EXISTS public.room_members CASCADE;
+DROP TABLE IF EXISTS public.room_preferences CASCADE;
 DROP TABLE IF EXISTS public.messages CASCADE;
+DROP TABLE IF EXISTS public.room_reads CASCADE;
+DROP TABLE IF EXISTS public.message_edits CASCADE;
+DROP TABLE IF EXISTS public.message_reports CASCADE;
+DROP TABLE IF EXISTS public.message_authors CASCADE;
+DROP TABLE IF EXISTS public.identity_reveals CASCADE;
+DROP TABLE IF EXISTS public.reveal_audit_log CASCADE;
+DROP TABLE IF EXISTS public.moderation_settings CASCADE;
+DROP TABLE IF EXISTS public.room_pseudonyms CASCADE;
+DROP TABLE IF EXISTS public.pseudonym_epochs CASCADE;
+DROP TABLE IF EXISTS public.blocked_words CASCADE;
 DROP TABLE IF EXISTS public.notices CASCADE;
 
 -- 1. Profiles (Student Information)
--- 1. Profiles (Student Information)
+-- One row per Supabase Auth user; student_id holds the verified phone number.
 create table public.profiles (
-  id uuid primary key default gen_random_uuid(),
+  id uuid primary key references auth.users(id) on delete cascade,
   student_id text unique not null,
   full_name text not null,
   avatar_url text,
-  is_online boolean default false,
-  is_typing_in text, -- Room ID or user ID they are typing to
+  last_seen_at timestamp with time zone, -- Presence heartbeat; online/away itself lives in Realtime Presence
+  is_typing_in text, -- Unused: typing indicators are broadcast on the room's Realtime channel
   role text default 'student' check (role in ('student', 'admin')),
+  muted_until timestamp with time zone, -- Set by moderators; no posting until then
+  banned_at timestamp with time zone, -- Set by moderators; no posting at all
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
+-- Create the profile as soon as a phone number is verified for the first time.
+-- Everyone starts as a student; promote admins with:
+--   update public.profiles set role = 'admin' where student_id = '+91XXXXXXXXXX';
+create or replace function public.handle_new_user()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  insert into public.profiles (id, student_id, full_name)
+  values (
+    new.id,
+    coalesce('+' || new.phone, new.id::text),
+    coalesce(nullif(trim(new.raw_user_meta_data->>'full_name'), ''), 'Student')
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
 -- 2. Subjects
 create table public.subjects (
   id uuid default gen_random_uuid() primary key,
   name text not null unique,
   description text,
-  created_by uuid references public.profiles(id),
+  created_by uuid references public.profiles(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- 2b. Enrollments (students request to join a subject; admins enroll them)
+create table public.enrollments (
+  subject_id uuid references public.subjects(id) on delete cascade not null,
+  profile_id uuid references public.profiles(id) on delete cascade not null,
+  status text default 'requested' not null check (status in ('requested', 'enrolled')),
+  enrolled_by uuid references public.profiles(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (subject_id, profile_id)
+);
+
+-- 2c. Units (ordered modules within a subject's syllabus)
+create table public.units (
+  id uuid default gen_random_uuid() primary key,
+  subject_id uuid references public.subjects(id) on delete cascade not null,
+  title text not null check (char_length(title) between 1 and 120),
+  position integer default 0 not null, -- Set on insert by append_position(); admins reorder with reorder_units()
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
+create index units_subject_position_idx on public.units (subject_id, position);
+
 -- 3. Learning Materials (Videos, Notes, Links)
 create table public.materials (
   id uuid default gen_random_uuid() primary key,
   subject_id uuid references public.subjects(id) on delete cascade not null,
+  unit_id uuid references public.units(id) on delete set null, -- Null materials are listed after the last unit
   type text not null check (type in ('video', 'note', 'link')),
   title text not null,
   content text not null, -- URL for videos/links, text or file path for notes
-  created_by uuid references public.profiles(id),
+  storage_path text, -- Object name in the materials bucket for uploaded notes; removed with the material
+  position integer default 0 not null, -- Order within the subject; admins reorder with reorder_materials()
+  tags text[] default '{}' not null check (cardinality(tags) <= 10), -- Lowercase free-form labels such as 'exam' or 'week 3'
+  version integer default 1 not null, -- Bumped by archive_material_version() whenever the title or content changes
+  change_note text check (char_length(change_note) <= 280), -- What changed in the current version
+  updated_at timestamp with time zone, -- When the current version replaced the previous one; null for version 1
+  created_by uuid references public.profiles(id) on delete set null,
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
+create index materials_subject_position_idx on public.materials (subject_id, position);
+
+-- New units and materials go to the end of their subject
+create or replace function public.append_position()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  execute format('select coalesce(max(position) + 1, 0) from public.%I where subject_id = $1', tg_table_name)
+    into new.position using new.subject_id;
+  return new;
+end;
+$$;
+
+create trigger append_unit_position
+  before insert on public.units
+  for each row execute function public.append_position();
+
+create trigger append_material_position
+  before insert on public.materials
+  for each row execute function public.append_position();
+
+-- A material can only sit in a unit of its own subject
+create or replace function public.check_material_unit()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if new.unit_id is not null and not exists (
+    select 1 from public.units where id = new.unit_id and subject_id = new.subject_id
+  ) then
+    raise exception 'That unit belongs to another subject' using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger check_material_unit
+  before insert or update of unit_id, subject_id on public.materials
+  for each row execute function public.check_material_unit();
+
+-- 3b. Material Versions (earlier states of a material, kept for the changelog and rollback)
+create table public.material_versions (
+  id uuid default gen_random_uuid() primary key,
+  material_id uuid references public.materials(id) on delete cascade not null,
+  version integer not null,
+  type text not null,
+  title text not null,
+  content text not null,
+  storage_path text, -- The old file stays in the bucket so it can still be downloaded or restored
+  change_note text,
+  published_at timestamp with time zone not null, -- When this version became current
+  replaced_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (material_id, version)
+);
+
+-- Changing a material's type, title or content files the previous state as a numbered version.
+-- Other edits (tags, unit, ordering) leave the version and its change note alone.
+create or replace function public.archive_material_version()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if (new.type, new.title, new.content) is not distinct from (old.type, old.title, old.content) then
+    new.version := old.version;
+    new.change_note := old.change_note;
+    new.updated_at := old.updated_at;
+    return new;
+  end if;
+  insert into public.material_versions (material_id, version, type, title, content, storage_path, change_note, published_at)
+  values (old.id, old.version, old.type, old.title, old.content, old.storage_path, old.change_note, coalesce(old.updated_at, old.created_at));
+  new.version := old.version + 1;
+  new.updated_at := now();
+  if new.change_note is not distinct from old.change_note then
+    new.change_note := null;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger archive_material_version
+  before update on public.materials
+  for each row execute function public.archive_material_version();
+
 -- 4. Chat Rooms (Groups)
 create table public.rooms (
   id uuid default gen_random_uuid() primary key,
   name text not null,
   type text not null check (type in ('group', 'dm', 'anonymous')),
-  subject_id uuid references public.subjects(id) on delete cascade, -- Optional, for subject-specific groups
+  subject_id uuid references public.subjects(id) on delete set null, -- The subject's discussion room, one per subject
+  is_private boolean default false not null, -- DMs and student-created groups; visible to members only
+  topic text check (char_length(topic) <= 280), -- Shown under the name; set with update_room()
+  archived_at timestamp with time zone, -- Read-only from then on; set when its subject is deleted
+  created_by uuid references public.profiles(id) on delete set null,
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
+-- DM rooms are named "<userA>:<userB>" (sorted), one per pair
+create unique index rooms_dm_name_key on public.rooms (name) where type = 'dm';
+create unique index rooms_subject_key on public.rooms (subject_id) where subject_id is not null;
+
+-- Every subject gets a public discussion room that follows its name. Deleting the
+-- subject archives the room instead of taking the conversation with it.
+create or replace function public.sync_subject_room()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into public.rooms (name, type, subject_id, topic, created_by)
+    values (new.name, 'group', new.id, 'Discussion for ' || new.name, new.created_by);
+  elsif tg_op = 'UPDATE' then
+    update public.rooms set name = new.name where subject_id = new.id and name = old.name;
+  else
+    update public.rooms set archived_at = now(), name = old.name || ' (archived)' where subject_id = old.id;
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger create_subject_room
+  after insert on public.subjects
+  for each row execute function public.sync_subject_room();
+
+create trigger rename_subject_room
+  after update of name on public.subjects
+  for each row execute function public.sync_subject_room();
+
+-- Before the delete, while rooms.subject_id still points at the subject
+create trigger archive_subject_room
+  before delete on public.subjects
+  for each row execute function public.sync_subject_room();
+
+-- 4b. Room Members (DMs and private groups)
+create table public.room_members (
+  room_id uuid references public.rooms(id) on delete cascade not null,
+  profile_id uuid references public.profiles(id) on delete cascade not null,
+  role text not null default 'member' check (role in ('owner', 'member', 'invited')),
+  invited_by uuid references public.profiles(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (room_id, profile_id)
+);
+
+-- 4c. Room Preferences (each student's own mute and pin settings, for any room they can read)
+create table public.room_preferences (
+  room_id uuid references public.rooms(id) on delete cascade not null,
+  profile_id uuid references public.profiles(id) on delete cascade not null,
+  muted boolean default false not null, -- Unread counts stop standing out; mentions still do
+  pinned boolean default false not null, -- Listed above the other rooms in the sidebar
+  primary key (room_id, profile_id)
+);
+
 -- 5. Messages
 create table public.messages (
   id uuid default gen_random_uuid() primary key,
   room_id uuid references public.rooms(id) on delete cascade not null,
-  sender_id uuid references public.profiles(id) not null,
+  sender_id uuid references public.profiles(id), -- Null on anonymous messages; the author is sealed in message_authors
   content text not null,
-  is_anonymous boolean default false,
+  is_anonymous boolean default false, -- Set from the room type by seal_anonymous_sender()
+  pseudonym text, -- Anonymous messages only: the sender's name in this room for the current epoch
+  reply_to_id uuid references public.messages(id) on delete set null, -- Quoted message shown above this one
+  thread_id uuid references public.messages(id) on delete cascade, -- Root message when posted in a side thread
+  reply_count int default 0 not null, -- Side-thread replies, maintained by trigger
+  attachment jsonb, -- { path, name, mime, size } in the chat-attachments bucket; content is the caption
+  material_id uuid references public.materials(id) on delete set null, -- Material linked from a discussion
+  mentions uuid[] default '{}' not null, -- Profiles @mentioned in content; drives mention badges
+  edited_at timestamp with time zone,
+  deleted_at timestamp with time zone, -- Soft delete; content is blanked and kept in message_edits
+  deleted_by uuid references public.profiles(id) on delete set null,
+  pinned_at timestamp with time zone, -- Shown in the room's pinned banner; set with pin_message()
+  pinned_by uuid references public.profiles(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  search_vector tsvector generated always as (to_tsvector('simple', content)) stored -- Full-text search within rooms
+);
+
+-- Chat history is paged newest-first by (created_at, id) within a room
+create index messages_room_created_idx on public.messages (room_id, created_at, id);
+create index messages_thread_idx on public.messages (thread_id, created_at) where thread_id is not null;
+create index messages_search_idx on public.messages using gin (search_vector);
+create index messages_pinned_idx on public.messages (room_id, pinned_at) where pinned_at is not null;
+
+-- Quotes and threads must point at a message in the same room, and threads are one level deep.
+-- Mentions are narrowed to other people who can actually read the room. Archived rooms are read-only.
+create or replace function public.check_message_refs()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if exists (select 1 from public.rooms where id = new.room_id and archived_at is not null) then
+    raise exception 'This room is archived' using errcode = '42501';
+  end if;
+  new.mentions := array(
+    select distinct pid
+    from unnest(new.mentions) as pid
+    join public.rooms r on r.id = new.room_id
+    where pid <> new.sender_id
+      and exists (select 1 from public.profiles where id = pid)
+      and (not r.is_private or exists (
+        select 1 from public.room_members rm
+        where rm.room_id = new.room_id and rm.profile_id = pid and rm.role in ('owner', 'member')
+      ))
+  );
+  if new.reply_to_id is not null and not exists (
+    select 1 from public.messages where id = new.reply_to_id and room_id = new.room_id
+  ) then
+    raise exception 'Quoted message is not in this room' using errcode = '23503';
+  end if;
+  if new.thread_id is not null and not exists (
+    select 1 from public.messages where id = new.thread_id and room_id = new.room_id and thread_id is null
+  ) then
+    raise exception 'Thread root is not a top-level message in this room' using errcode = '23503';
+  end if;
+  if new.attachment is not null and split_part(new.attachment->>'path', '/', 1) <> new.room_id::text then
+    raise exception 'Attachment was not uploaded to this room' using errcode = '23514';
+  end if;
+  -- Materials can only be linked from their own subject's discussion room
+  if new.material_id is not null and not exists (
+    select 1 from public.materials mt
+    join public.rooms r on r.subject_id = mt.subject_id
+    where mt.id = new.material_id and r.id = new.room_id
+  ) then
+    raise exception 'Material does not belong to this room''s subject' using errcode = '23503';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger check_message_refs
+  before insert on public.messages
+  for each row execute function public.check_message_refs();
+
+create or replace function public.bump_thread_reply_count()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  update public.messages set reply_count = reply_count + 1 where id = new.thread_id;
+  return new;
+end;
+$$;
+
+create trigger bump_thread_reply_count
+  after insert on public.messages
+  for each row when (new.thread_id is not null) execute function public.bump_thread_reply_count();
+
+-- Muted and banned students keep read access but cannot post.
+create or replace function public.check_sender_standing()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  sender public.profiles;
+begin
+  select * into sender from public.profiles where id = new.sender_id;
+  if sender.banned_at is not null then
+    raise exception 'You have been banned from posting' using errcode = '42501';
+  end if;
+  if sender.muted_until > now() then
+    raise exception 'You are muted until %', to_char(sender.muted_until at time zone 'utc', 'DD Mon HH24:MI "UTC"') using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger check_sender_standing
+  before insert on public.messages
+  for each row execute function public.check_sender_standing();
+
+-- 5a. Message Edit History (admins only)
+create table public.message_edits (
+  id bigint generated always as identity primary key,
+  message_id uuid references public.messages(id) on delete cascade not null,
+  previous_content text not null,
+  edited_by uuid references public.profiles(id) on delete set null,
+  edited_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- 5b. Read Receipts (one row per student per room they have opened or received)
+create table public.room_reads (
+  room_id uuid references public.rooms(id) on delete cascade not null,
+  profile_id uuid references public.profiles(id) on delete cascade not null,
+  last_delivered_at timestamp with time zone,
+  last_read_at timestamp with time zone,
+  primary key (room_id, profile_id)
+);
+
+-- 5c. Message Reports (students flag messages; admins resolve them)
+create table public.message_reports (
+  id uuid default gen_random_uuid() primary key,
+  message_id uuid references public.messages(id) on delete cascade not null,
+  reporter_id uuid references public.profiles(id) on delete cascade, -- Null when flagged by the word filter
+  reason text not null check (reason in ('harassment', 'hate', 'spam', 'self_harm', 'other', 'filter')),
+  details text,
+  status text default 'open' not null check (status in ('open', 'dismissed', 'actioned')),
+  action text check (action in ('deleted', 'muted', 'banned')), -- What moderators did when actioned
+  resolved_by uuid references public.profiles(id) on delete set null,
+  resolved_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (message_id, reporter_id)
+);
+
+create index message_reports_open_idx on public.message_reports (created_at) where status = 'open';
+
+-- 5d. Anonymous Authors
+-- Anonymous messages are stored without a sender_id, so neither the API nor Realtime
+-- can leak who wrote them. The author lives here, readable only by that author;
+-- admins unmask a single message through request_reveal() / reveal_identity().
+create table public.message_authors (
+  message_id uuid primary key references public.messages(id) on delete cascade deferrable initially deferred,
+  room_id uuid references public.rooms(id) on delete cascade not null,
+  sender_id uuid references public.profiles(id) on delete cascade not null
+);
+
+-- Pseudonyms ("Violet Fox") let readers follow anonymous conversations. Each sender gets
+-- one per room per epoch, picked at random and stored here, out of every client's reach;
+-- a new epoch starts on the schedule in moderation_settings.pseudonym_rotation_days.
+create table public.pseudonym_epochs (
+  id bigint generated always as identity primary key,
+  started_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create table public.room_pseudonyms (
+  room_id uuid references public.rooms(id) on delete cascade not null,
+  epoch_id bigint references public.pseudonym_epochs(id) on delete cascade not null,
+  sender_id uuid references public.profiles(id) on delete cascade not null,
+  pseudonym text not null,
+  primary key (room_id, epoch_id, sender_id),
+  unique (room_id, epoch_id, pseudonym)
+);
+
+create or replace function public.current_pseudonym_epoch()
+returns bigint language plpgsql security definer set search_path = public as $$
+declare
+  epoch public.pseudonym_epochs;
+  rotation_days int;
+begin
+  select pseudonym_rotation_days into rotation_days from public.moderation_settings;
+  -- Serialise rotation so concurrent senders never open two epochs
+  perform pg_advisory_xact_lock(hashtext('pseudonym_epochs'));
+  select * into epoch from public.pseudonym_epochs order by id desc limit 1;
+  if epoch.id is null or (rotation_days > 0 and epoch.started_at <= now() - make_interval(days => rotation_days)) then
+    insert into public.pseudonym_epochs default values returning * into epoch;
+  end if;
+  return epoch.id;
+end;
+$$;
+
+-- Adjectives must match PSEUDONYM_COLORS and animals PSEUDONYM_ANIMALS in App.jsx.
+create or replace function public.pseudonym_for(target_room uuid, sender uuid)
+returns text language plpgsql security definer set search_path = public as $$
+declare
+  adjectives text[] := array['Violet', 'Amber', 'Teal', 'Crimson', 'Indigo', 'Jade', 'Coral', 'Silver',
+                             'Golden', 'Scarlet', 'Azure', 'Olive', 'Rose', 'Cobalt', 'Plum', 'Mint'];
+  animals text[] := array['Fox', 'Otter', 'Panda', 'Koala', 'Tiger', 'Wolf', 'Owl', 'Dolphin',
+                          'Eagle', 'Badger', 'Hedgehog', 'Turtle', 'Penguin', 'Rabbit', 'Lion', 'Bear',
+                          'Deer', 'Frog', 'Whale', 'Octopus', 'Parrot', 'Swan', 'Raccoon', 'Llama'];
+  epoch bigint := public.current_pseudonym_epoch();
+  candidate text;
+  chosen text;
+begin
+  select pseudonym into chosen from public.room_pseudonyms
+  where room_id = target_room and epoch_id = epoch and sender_id = sender;
+  if chosen is not null then
+    return chosen;
+  end if;
+
+  for attempt in 1..50 loop
+    candidate := adjectives[1 + floor(random() * array_length(adjectives, 1))::int] || ' '
+              || animals[1 + floor(random() * array_length(animals, 1))::int];
+    -- Busy rooms can run out of pairs; number them rather than loop forever
+    if attempt > 25 then
+      candidate := candidate || ' ' || attempt;
+    end if;
+    insert into public.room_pseudonyms (room_id, epoch_id, sender_id, pseudonym)
+    values (target_room, epoch, sender, candidate)
+    on conflict do nothing
+    returning pseudonym into chosen;
+    if chosen is not null then
+      return chosen;
+    end if;
+    -- Lost a race with this sender's other message: use the row that won
+    select pseudonym into chosen from public.room_pseudonyms
+    where room_id = target_room and epoch_id = epoch and sender_id = sender;
+    if chosen is not null then
+      return chosen;
+    end if;
+  end loop;
+  raise exception 'Could not assign a pseudonym' using errcode = '23505';
+end;
+$$;
+revoke execute on function public.pseudonym_for(uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.current_pseudonym_epoch() from public, anon, authenticated;
+
+-- Runs after the other before-insert checks (triggers fire in name order).
+create or replace function public.seal_anonymous_sender()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  select type = 'anonymous' into new.is_anonymous from public.rooms where id = new.room_id;
+  if new.is_anonymous then
+    if auth.uid() is not null and new.sender_id is distinct from auth.uid() then
+      raise exception 'You can only post as yourself' using errcode = '42501';
+    end if;
+    insert into public.message_authors (message_id, room_id, sender_id) values (new.id, new.room_id, new.sender_id);
+    new.pseudonym := public.pseudonym_for(new.room_id, new.sender_id);
+    new.sender_id := null;
+  else
+    new.pseudonym := null;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger seal_anonymous_sender
+  before insert on public.messages
+  for each row execute function public.seal_anonymous_sender();
+
+-- 5e. Identity Reveals
+-- One row per admin request to unmask an anonymous message. Every step is also
+-- written to reveal_audit_log, which is append-only and hash-chained.
+-- moderation_settings is the single row of admin-tunable switches shared by reveals,
+-- pseudonyms and the spam checks in section 5f.
+create table public.moderation_settings (
+  id boolean primary key default true check (id), -- Single row
+  require_reveal_approval boolean default true not null, -- A second admin must approve each reveal
+  pseudonym_rotation_days int default 7 not null check (pseudonym_rotation_days >= 0), -- 0 never rotates
+  rate_limit_count int default 10 not null check (rate_limit_count > 0), -- Messages allowed per window
+  rate_limit_window_seconds int default 30 not null check (rate_limit_window_seconds > 0),
+  duplicate_window_seconds int default 60 not null check (duplicate_window_seconds >= 0), -- 0 allows repeats
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+insert into public.moderation_settings default values;
+
+create table public.identity_reveals (
+  id uuid default gen_random_uuid() primary key,
+  message_id uuid references public.messages(id) on delete cascade not null,
+  requested_by uuid references public.profiles(id) on delete set null,
+  justification text not null check (char_length(trim(justification)) >= 20),
+  status text default 'pending' not null check (status in ('pending', 'approved', 'rejected')),
+  decided_by uuid references public.profiles(id) on delete set null,
+  decided_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- No foreign keys: entries must outlive the reveals, messages and admins they describe.
+create table public.reveal_audit_log (
+  id bigint generated always as identity primary key,
+  event text not null check (event in ('requested', 'approved', 'rejected', 'revealed', 'settings_changed', 'sender_search')),
+  reveal_id uuid,
+  message_id uuid,
+  actor_id uuid,
+  details text,
+  created_at timestamp with time zone not null,
+  prev_hash text not null,
+  hash text not null
+);
+
+-- 5f. Spam Protection
+-- Every new message passes screen_message() before it is stored: a per-sender rate
+-- limit, a repeat check within one room, and the admin-managed word filter.
+create table public.blocked_words (
+  id uuid default gen_random_uuid() primary key,
+  word text not null check (char_length(trim(word)) > 0),
+  mode text default 'block' not null check (mode in ('block', 'mask', 'flag')), -- Reject, replace with ***, or report
+  created_by uuid references public.profiles(id) on delete set null,
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
+create unique index blocked_words_word_idx on public.blocked_words (lower(trim(word)));
+create index messages_sender_created_idx on public.messages (sender_id, created_at) where sender_id is not null;
+create index message_authors_sender_idx on public.message_authors (sender_id);
+
+-- Whole-word, case-insensitive pattern for a filter entry.
+create or replace function public.word_pattern(word text)
+returns text language sql immutable as $$
+  select '\m' || regexp_replace(lower(trim(word)), '([.*+?^${}()|\[\]\\])', '\\\1', 'g') || '\M';
+$$;
+
+-- Rejects blocked words and masks masked ones; flagged words pass through unchanged.
+create or replace function public.apply_word_filter(content text)
+returns text language plpgsql stable security definer set search_path = public as $$
+declare
+  entry public.blocked_words;
+begin
+  for entry in select * from public.blocked_words where mode in ('block', 'mask') loop
+    if content ~* public.word_pattern(entry.word) then
+      if entry.mode = 'block' then
+        raise exception 'Your message contains a word that is not allowed here. Please rephrase it.' using errcode = '23514';
+      end if;
+      content := regexp_replace(content, public.word_pattern(entry.word), repeat('*', char_length(trim(entry.word))), 'gi');
+    end if;
+  end loop;
+  return content;
+end;
+$$;
+
+-- Files a moderation report for each flag-mode word in a stored message.
+create or replace function public.flag_filtered_words(msg public.messages)
+returns void language plpgsql security definer set search_path = public as $$
+declare
+  matched text;
+begin
+  select string_agg(word, ', ' order by word) into matched
+  from public.blocked_words
+  where mode = 'flag' and msg.content ~* public.word_pattern(word);
+  if matched is not null then
+    insert into public.message_reports (message_id, reporter_id, reason, details)
+    values (msg.id, null, 'filter', 'Matched: ' || matched);
+  end if;
+end;
+$$;
+revoke execute on function public.flag_filtered_words(public.messages) from public, anon, authenticated;
+
+-- Runs before seal_anonymous_sender (triggers fire in name order), so sender_id is still set.
+create or replace function public.screen_message()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  settings public.moderation_settings;
+  recent int;
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+  select * into settings from public.moderation_settings;
+
+  select count(*) into recent from (
+    select 1 from public.messages
+    where sender_id = new.sender_id and created_at > now() - make_interval(secs => settings.rate_limit_window_seconds)
+    union all
+    select 1 from public.message_authors a join public.messages m on m.id = a.message_id
+    where a.sender_id = new.sender_id and m.created_at > now() - make_interval(secs => settings.rate_limit_window_seconds)
+  ) sent;
+  if recent >= settings.rate_limit_count then
+    raise exception 'You are sending messages too quickly. Wait a few seconds and try again.' using errcode = '54000';
+  end if;
+
+  if settings.duplicate_window_seconds > 0 and trim(new.content) <> '' and exists (
+    select 1 from public.messages m
+    left join public.message_authors a on a.message_id = m.id
+    where m.room_id = new.room_id
+      and coalesce(m.sender_id, a.sender_id) = new.sender_id
+      and m.created_at > now() - make_interval(secs => settings.duplicate_window_seconds)
+      and lower(trim(m.content)) = lower(trim(new.content))
+  ) then
+    raise exception 'You just sent that message.' using errcode = '23505';
+  end if;
+
+  new.content := public.apply_word_filter(new.content);
+  return new;
+end;
+$$;
+
+create trigger screen_message
+  before insert on public.messages
+  for each row execute function public.screen_message();
+
+create or replace function public.flag_new_message()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  perform public.flag_filtered_words(new);
+  return new;
+end;
+$$;
+
+create trigger flag_new_message
+  after insert on public.messages
+  for each row when (new.content <> '') execute function public.flag_new_message();
+
 -- 6. Notices (Dashboard Announcements)
 create table public.notices (
   id uuid default gen_random_uuid() primary key,
   title text not null,
   content text,
   color text default 'blue',
+  subject_id uuid references public.subjects(id) on delete cascade, -- Null for campus-wide; otherwise enrolled students only
   created_at timestamp with time zone default timezone('utc'::text, now()) not null
 );
 
@@ -75,38 +678,905 @@ alter publication supabase_realtime add table public.messages;
 alter publication supabase_realtime add table public.profiles;
 alter publication supabase_realtime add table public.notices;
 alter publication supabase_realtime add table public.subjects;
+alter publication supabase_realtime add table public.enrollments;
+alter publication supabase_realtime add table public.units;
 alter publication supabase_realtime add table public.materials;
+alter publication supabase_realtime add table public.rooms;
+alter publication supabase_realtime add table public.room_members;
+alter publication supabase_realtime add table public.room_reads;
+alter publication supabase_realtime add table public.message_reports;
+alter publication supabase_realtime add table public.identity_reveals;
+alter publication supabase_realtime add table public.reveal_audit_log;
+
+-- 8. RLS Policies
+-- Everything requires a signed-in session. Admin rights come from profiles.role.
+create or replace function public.is_admin()
+returns boolean language sql stable security definer set search_path = public as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin');
+$$;
+
+-- The caller's membership role in a room ('owner', 'member', 'invited'), or null.
+create or replace function public.room_role(target_room uuid)
+returns text language sql stable security definer set search_path = public as $$
+  select role from public.room_members where room_id = target_room and profile_id = auth.uid();
+$$;
+
+-- Public rooms are open to everyone; DMs and private groups need an accepted membership.
+create or replace function public.can_access_room(target_room uuid)
+returns boolean language sql stable security definer set search_path = public as $$
+  select public.is_admin() or exists (
+    select 1 from public.rooms r
+    where r.id = target_room
+      and (not r.is_private or public.room_role(r.id) in ('owner', 'member'))
+  );
+$$;
+
+-- Students may edit their own profile but never their role, their verified phone number
+-- (student_id) or moderation status. Sessions without a JWT (the SQL editor, service role)
+-- can still promote the first admin.
+create or replace function public.protect_profile_role()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if (new.role, new.student_id, new.muted_until, new.banned_at) is distinct from (old.role, old.student_id, old.muted_until, old.banned_at)
+     and auth.uid() is not null and not public.is_admin() then
+    raise exception 'Only admins can change roles, phone numbers or moderation status' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger protect_profile_role
+  before update on public.profiles
+  for each row execute function public.protect_profile_role();
+
+-- The real author of any message, anonymous or not. Only other security definer
+-- functions may call it; clients ask is_own_message() instead.
+create or replace function public.message_author(target uuid)
+returns uuid language sql stable security definer set search_path = public as $$
+  select coalesce(m.sender_id, a.sender_id)
+  from public.messages m
+  left join public.message_authors a on a.message_id = m.id
+  where m.id = target;
+$$;
+revoke execute on function public.message_author(uuid) from public, anon, authenticated;
+
+create or replace function public.is_own_message(target uuid)
+returns boolean language sql stable security definer set search_path = public as $$
+  select coalesce(public.message_author(target) = auth.uid(), false);
+$$;
 
--- 8. RLS Policies (Permissive for Demo Simulation)
 alter table public.profiles enable row level security;
-create policy "Permissive profiles" on public.profiles for all using (true) with check (true);
+create policy "Profiles are readable by members" on public.profiles for select to authenticated using (true);
+create policy "Students update their own profile" on public.profiles for update to authenticated
+  using (id = auth.uid() or public.is_admin()) with check (id = auth.uid() or public.is_admin());
+
+-- Accounts are removed through their auth user, which takes the profile with it. Deleting
+-- only the profile would leave a phone number that still signs in but has no profile.
+create or replace function public.delete_user(target uuid)
+returns void language plpgsql security definer set search_path = public as $$
+declare
+  failed_constraint text;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can delete users' using errcode = '42501';
+  end if;
+  if target = auth.uid() then
+    raise exception 'You cannot delete your own account' using errcode = '22023';
+  end if;
+  delete from auth.users where id = target;
+exception
+  when foreign_key_violation then
+    get stacked diagnostics failed_constraint = constraint_name;
+    -- Messages keep their sender, so people who have posted are banned instead
+    if failed_constraint = 'messages_sender_id_fkey' then
+      raise exception 'This user has posted messages and cannot be deleted. Ban them instead.' using errcode = '23503';
+    end if;
+    raise exception 'This user is still referenced by % and cannot be deleted', failed_constraint using errcode = '23503';
+end;
+$$;
 
 alter table public.subjects enable row level security;
-create policy "Permissive subjects" on public.subjects for all using (true) with check (true);
+create policy "Subjects are readable by members" on public.subjects for select to authenticated using (true);
+create policy "Admins manage subjects" on public.subjects for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+-- Whether the caller is enrolled (not just requested) in a subject.
+create or replace function public.is_enrolled(target_subject uuid)
+returns boolean language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from public.enrollments
+    where subject_id = target_subject and profile_id = auth.uid() and status = 'enrolled'
+  );
+$$;
+
+alter table public.enrollments enable row level security;
+create policy "Students see their enrollments" on public.enrollments for select to authenticated
+  using (profile_id = auth.uid() or public.is_admin());
+create policy "Students request to join subjects" on public.enrollments for insert to authenticated
+  with check (profile_id = auth.uid() and status = 'requested' and enrolled_by is null);
+create policy "Admins enroll students" on public.enrollments for insert to authenticated with check (public.is_admin());
+create policy "Admins approve requests" on public.enrollments for update to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+create policy "Students leave, admins remove" on public.enrollments for delete to authenticated
+  using (profile_id = auth.uid() or public.is_admin());
 
 alter table public.materials enable row level security;
-create policy "Permissive materials" on public.materials for all using (true) with check (true);
+-- Students only read the materials of subjects they are enrolled in
+create policy "Materials are readable by enrolled students" on public.materials for select to authenticated
+  using (public.is_admin() or public.is_enrolled(subject_id));
+create policy "Admins manage materials" on public.materials for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+-- Written only by archive_material_version(); admins roll back with restore_material_version()
+alter table public.material_versions enable row level security;
+create policy "Material history follows its material" on public.material_versions for select to authenticated
+  using (exists (select 1 from public.materials m where m.id = material_id));
+
+alter table public.units enable row level security;
+create policy "Units are readable by enrolled students" on public.units for select to authenticated
+  using (public.is_admin() or public.is_enrolled(subject_id));
+create policy "Admins manage units" on public.units for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+-- Rolling back is itself an edit, so the version being replaced is kept too
+create or replace function public.restore_material_version(target uuid)
+returns public.materials language plpgsql security definer set search_path = public as $$
+declare
+  v public.material_versions;
+  restored public.materials;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can restore materials' using errcode = '42501';
+  end if;
+  select * into v from public.material_versions where id = target;
+  if v.id is null then
+    raise exception 'Version not found' using errcode = '22023';
+  end if;
+  update public.materials
+  set type = v.type, title = v.title, content = v.content, storage_path = v.storage_path,
+      change_note = format('Restored version %s', v.version)
+  where id = v.material_id
+  returning * into restored;
+  return restored;
+end;
+$$;
+
+-- Drag-and-drop reordering: positions follow the order of the ids passed in.
+-- Ids from other subjects are ignored.
+create or replace function public.reorder_units(target_subject uuid, ordered uuid[])
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can reorder units' using errcode = '42501';
+  end if;
+  update public.units u set position = o.ord
+  from unnest(ordered) with ordinality as o(id, ord)
+  where u.id = o.id and u.subject_id = target_subject;
+end;
+$$;
+
+create or replace function public.reorder_materials(target_subject uuid, ordered uuid[])
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can reorder materials' using errcode = '42501';
+  end if;
+  update public.materials m set position = o.ord
+  from unnest(ordered) with ordinality as o(id, ord)
+  where m.id = o.id and m.subject_id = target_subject;
+end;
+$$;
+
+alter table public.notices enable row level security;
+create policy "Notices are readable by their audience" on public.notices for select to authenticated
+  using (subject_id is null or public.is_admin() or public.is_enrolled(subject_id));
+create policy "Admins manage notices" on public.notices for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
 
 alter table public.rooms enable row level security;
-create policy "Permissive rooms" on public.rooms for all using (true) with check (true);
+create policy "Rooms are visible to members and invitees" on public.rooms for select to authenticated
+  using (public.can_access_room(id) or public.room_role(id) = 'invited');
+-- Students create DMs and private groups through open_dm() / create_private_room()
+create policy "Admins create rooms" on public.rooms for insert to authenticated with check (public.is_admin());
+create policy "Admins manage rooms" on public.rooms for update to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+create policy "Admins delete rooms" on public.rooms for delete to authenticated using (public.is_admin());
 
 alter table public.messages enable row level security;
-create policy "Permissive messages" on public.messages for all using (true) with check (true);
+create policy "Messages are visible to room members" on public.messages for select to authenticated using (public.can_access_room(room_id));
+-- Anonymous rows arrive with sender_id already moved to message_authors by the seal trigger
+create policy "Students send messages as themselves" on public.messages for insert to authenticated
+  with check ((sender_id = auth.uid() or (sender_id is null and is_anonymous)) and public.can_access_room(room_id));
+create policy "Admins delete messages" on public.messages for delete to authenticated using (public.is_admin());
 
-alter table public.notices enable row level security;
-create policy "Permissive notices" on public.notices for all using (true) with check (true);
+alter table public.room_members enable row level security;
+create policy "Members see their room roster" on public.room_members for select to authenticated
+  using (profile_id = auth.uid() or public.can_access_room(room_id));
+create policy "Members invite classmates to private groups" on public.room_members for insert to authenticated
+  with check (
+    role = 'invited' and invited_by = auth.uid()
+    and public.room_role(room_id) in ('owner', 'member')
+    and exists (select 1 from public.rooms r where r.id = room_id and r.type = 'group' and r.is_private)
+  );
+create policy "Invitees accept their invite" on public.room_members for update to authenticated
+  using (profile_id = auth.uid() and role = 'invited') with check (profile_id = auth.uid() and role = 'member');
+create policy "Members leave, owners remove" on public.room_members for delete to authenticated
+  using (profile_id = auth.uid() or public.room_role(room_id) = 'owner' or public.is_admin());
+
+alter table public.room_preferences enable row level security;
+create policy "Students manage their own room preferences" on public.room_preferences for all to authenticated
+  using (profile_id = auth.uid()) with check (profile_id = auth.uid() and public.can_access_room(room_id));
+
+-- Messages are never updated directly: authors edit within 15 minutes (the client's
+-- MESSAGE_EDIT_WINDOW_MS), and authors or admins soft-delete. Both keep the old text.
+alter table public.message_edits enable row level security;
+create policy "Admins review edit history" on public.message_edits for select to authenticated using (public.is_admin());
+
+create or replace function public.edit_message(target uuid, new_content text)
+returns public.messages language plpgsql security definer set search_path = public as $$
+declare
+  msg public.messages;
+begin
+  select * into msg from public.messages where id = target for update;
+  if msg.id is null or not public.is_own_message(target) then
+    raise exception 'You can only edit your own messages' using errcode = '42501';
+  end if;
+  if msg.deleted_at is not null or msg.created_at < now() - interval '15 minutes' then
+    raise exception 'This message can no longer be edited' using errcode = '22023';
+  end if;
+  if coalesce(trim(new_content), '') = '' then
+    raise exception 'Message cannot be empty' using errcode = '22023';
+  end if;
+
+  -- History stays admin-readable, so anonymous authors are not recorded as the editor
+  insert into public.message_edits (message_id, previous_content, edited_by)
+  values (msg.id, msg.content, case when msg.is_anonymous then null else auth.uid() end);
+  update public.messages set content = public.apply_word_filter(new_content), edited_at = now()
+  where id = target returning * into msg;
+  perform public.flag_filtered_words(msg);
+  return msg;
+end;
+$$;
+
+create or replace function public.delete_message(target uuid)
+returns public.messages language plpgsql security definer set search_path = public as $$
+declare
+  msg public.messages;
+  actor uuid;
+begin
+  select * into msg from public.messages where id = target for update;
+  if msg.id is null or (not public.is_own_message(target) and not public.is_admin()) then
+    raise exception 'You can only delete your own messages' using errcode = '42501';
+  end if;
+  if msg.deleted_at is not null then
+    return msg;
+  end if;
+
+  -- An anonymous author deleting their own message must not be named as the deleter
+  actor := case when msg.is_anonymous and public.is_own_message(target) then null else auth.uid() end;
+  insert into public.message_edits (message_id, previous_content, edited_by)
+  values (msg.id, concat_ws(' ', nullif(msg.content, ''), '[attachment: ' || (msg.attachment->>'path') || ']'), actor);
+  update public.messages
+  set content = '', attachment = null, deleted_at = now(), deleted_by = actor, pinned_at = null, pinned_by = null
+  where id = target returning * into msg;
+  return msg;
+end;
+$$;
+
+-- Room owners and admins pin messages to the banner at the top of the room. DMs and
+-- public rooms have no owner, so only admins pin there. Thread replies stay in their thread.
+create or replace function public.pin_message(target uuid, pin boolean)
+returns public.messages language plpgsql security definer set search_path = public as $$
+declare
+  msg public.messages;
+begin
+  select * into msg from public.messages where id = target for update;
+  if msg.id is null or not (public.is_admin() or public.room_role(msg.room_id) = 'owner') then
+    raise exception 'Only the room owner or an admin can pin messages' using errcode = '42501';
+  end if;
+  if pin and (msg.deleted_at is not null or msg.thread_id is not null) then
+    raise exception 'This message cannot be pinned' using errcode = '22023';
+  end if;
+
+  update public.messages
+  set pinned_at = case when pin then coalesce(msg.pinned_at, now()) end,
+      pinned_by = case when pin then coalesce(msg.pinned_by, auth.uid()) end
+  where id = target returning * into msg;
+  return msg;
+end;
+$$;
+
+-- Students report messages they can see (not their own) and follow the outcome;
+-- only admins see everyone's reports, and they resolve them through resolve_report().
+alter table public.message_reports enable row level security;
+create policy "Reporters and admins see reports" on public.message_reports for select to authenticated
+  using (reporter_id = auth.uid() or public.is_admin());
+create policy "Students report visible messages" on public.message_reports for insert to authenticated
+  with check (
+    reporter_id = auth.uid() and status = 'open' and action is null and resolved_by is null
+    and exists (
+      select 1 from public.messages m
+      where m.id = message_id and public.can_access_room(m.room_id)
+    )
+    and not public.is_own_message(message_id)
+  );
+
+-- Resolves every open report on the reported message with one outcome:
+-- 'dismiss', 'delete' (soft delete), 'mute' (24 hours) or 'ban' the sender.
+create or replace function public.resolve_report(target uuid, outcome text)
+returns setof public.message_reports language plpgsql security definer set search_path = public as $$
+declare
+  report public.message_reports;
+  sender uuid;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can resolve reports' using errcode = '42501';
+  end if;
+  select * into report from public.message_reports where id = target;
+  if report.id is null then
+    raise exception 'Report not found' using errcode = '22023';
+  end if;
+  -- Acts on anonymous senders without revealing them to the moderator
+  sender := public.message_author(report.message_id);
+
+  if outcome = 'delete' then
+    perform public.delete_message(report.message_id);
+  elsif outcome = 'mute' then
+    update public.profiles set muted_until = now() + interval '24 hours' where id = sender;
+  elsif outcome = 'ban' then
+    update public.profiles set banned_at = now() where id = sender;
+  elsif outcome <> 'dismiss' then
+    raise exception 'Unknown outcome: %', outcome using errcode = '22023';
+  end if;
+
+  return query
+  update public.message_reports
+  set status = case when outcome = 'dismiss' then 'dismissed' else 'actioned' end,
+      action = case outcome when 'delete' then 'deleted' when 'mute' then 'muted' when 'ban' then 'banned' end,
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  where message_id = report.message_id and status = 'open'
+  returning *;
+end;
+$$;
+
+-- Anonymous authors can see their own rows (to recognise their messages); nobody else can.
+alter table public.message_authors enable row level security;
+create policy "Authors see their own anonymous messages" on public.message_authors for select to authenticated
+  using (sender_id = auth.uid());
+
+alter table public.moderation_settings enable row level security;
+create policy "Admins read moderation settings" on public.moderation_settings for select to authenticated using (public.is_admin());
+create policy "Admins change moderation settings" on public.moderation_settings for update to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+-- room_pseudonyms and pseudonym_epochs have RLS and no policies: only the functions above touch them.
+alter table public.pseudonym_epochs enable row level security;
+alter table public.room_pseudonyms enable row level security;
+
+-- The caller's own current pseudonym in an anonymous room, for the composer and typing.
+create or replace function public.my_pseudonym(target_room uuid)
+returns text language plpgsql security definer set search_path = public as $$
+begin
+  if auth.uid() is null or not public.can_access_room(target_room)
+     or not exists (select 1 from public.rooms where id = target_room and type = 'anonymous') then
+    return null;
+  end if;
+  return public.pseudonym_for(target_room, auth.uid());
+end;
+$$;
+
+-- Start a new epoch now; everyone gets a fresh pseudonym with their next message.
+create or replace function public.rotate_pseudonyms()
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can rotate pseudonyms' using errcode = '42501';
+  end if;
+  perform pg_advisory_xact_lock(hashtext('pseudonym_epochs'));
+  insert into public.pseudonym_epochs default values;
+end;
+$$;
+
+-- Reveals and the audit log are only written by the functions below.
+alter table public.identity_reveals enable row level security;
+create policy "Admins review reveal requests" on public.identity_reveals for select to authenticated using (public.is_admin());
+
+alter table public.reveal_audit_log enable row level security;
+create policy "Admins review the reveal audit log" on public.reveal_audit_log for select to authenticated using (public.is_admin());
+
+-- Each entry hashes its own fields together with the previous entry's hash, so editing
+-- or removing any row breaks every hash after it. See verify_reveal_audit().
+create or replace function public.reveal_audit_hash(entry public.reveal_audit_log)
+returns text language sql stable set search_path = public as $$
+  select encode(sha256(convert_to(concat_ws('|',
+    entry.prev_hash, entry.event,
+    coalesce(entry.reveal_id::text, ''), coalesce(entry.message_id::text, ''), coalesce(entry.actor_id::text, ''),
+    coalesce(entry.details, ''),
+    to_char(entry.created_at at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US')
+  ), 'UTF8')), 'hex');
+$$;
+
+create or replace function public.append_reveal_audit(evt text, reveal uuid, msg uuid, details text)
+returns void language plpgsql security definer set search_path = public as $$
+declare
+  entry public.reveal_audit_log;
+begin
+  -- One writer at a time, so two entries never chain off the same predecessor
+  lock table public.reveal_audit_log in exclusive mode;
+  select hash into entry.prev_hash from public.reveal_audit_log order by id desc limit 1;
+  entry.prev_hash := coalesce(entry.prev_hash, repeat('0', 64));
+  entry.event := evt;
+  entry.reveal_id := reveal;
+  entry.message_id := msg;
+  entry.actor_id := auth.uid();
+  entry.details := details;
+  entry.created_at := clock_timestamp();
+  entry.hash := public.reveal_audit_hash(entry);
+  insert into public.reveal_audit_log (event, reveal_id, message_id, actor_id, details, created_at, prev_hash, hash)
+  values (entry.event, entry.reveal_id, entry.message_id, entry.actor_id, entry.details, entry.created_at, entry.prev_hash, entry.hash);
+end;
+$$;
+revoke execute on function public.append_reveal_audit(text, uuid, uuid, text) from public, anon, authenticated;
+
+create or replace function public.reject_audit_changes()
+returns trigger language plpgsql as $$
+begin
+  raise exception 'The reveal audit log is append-only' using errcode = '42501';
+end;
+$$;
+
+create trigger reveal_audit_append_only
+  before update or delete on public.reveal_audit_log
+  for each row execute function public.reject_audit_changes();
+create trigger reveal_audit_no_truncate
+  before truncate on public.reveal_audit_log
+  for each statement execute function public.reject_audit_changes();
+
+-- Switching the approval requirement is itself a logged event.
+create or replace function public.log_moderation_settings()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  new.updated_at := now();
+  if new.require_reveal_approval is distinct from old.require_reveal_approval then
+    perform public.append_reveal_audit('settings_changed', null, null,
+      case when new.require_reveal_approval then 'Second-admin approval required' else 'Second-admin approval no longer required' end);
+  end if;
+  return new;
+end;
+$$;
+
+create trigger log_moderation_settings
+  before update on public.moderation_settings
+  for each row execute function public.log_moderation_settings();
+
+-- Ask to unmask one anonymous message. Auto-approved unless moderation_settings requires
+-- a second admin. Repeating a live request returns it instead of filing another.
+create or replace function public.request_reveal(target uuid, justification text)
+returns public.identity_reveals language plpgsql security definer set search_path = public as $$
+declare
+  msg public.messages;
+  reveal public.identity_reveals;
+  needs_approval boolean;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can request a reveal' using errcode = '42501';
+  end if;
+  select * into msg from public.messages where id = target;
+  if msg.id is null or not msg.is_anonymous then
+    raise exception 'Only anonymous messages can be revealed' using errcode = '22023';
+  end if;
+  if char_length(trim(coalesce(justification, ''))) < 20 then
+    raise exception 'Give a justification of at least 20 characters' using errcode = '22023';
+  end if;
+
+  select * into reveal from public.identity_reveals
+  where message_id = target and requested_by = auth.uid() and status in ('pending', 'approved');
+  if reveal.id is not null then
+    return reveal;
+  end if;
+
+  select require_reveal_approval into needs_approval from public.moderation_settings;
+  needs_approval := coalesce(needs_approval, true);
+  insert into public.identity_reveals (message_id, requested_by, justification, status, decided_at)
+  values (target, auth.uid(), trim(justification),
+          case when needs_approval then 'pending' else 'approved' end,
+          case when needs_approval then null else now() end)
+  returning * into reveal;
+  perform public.append_reveal_audit('requested', reveal.id, target, reveal.justification);
+  if not needs_approval then
+    perform public.append_reveal_audit('approved', reveal.id, target, 'Approval not required');
+  end if;
+  return reveal;
+end;
+$$;
+
+-- A different admin approves or rejects a pending request.
+create or replace function public.decide_reveal(target uuid, approve boolean)
+returns public.identity_reveals language plpgsql security definer set search_path = public as $$
+declare
+  reveal public.identity_reveals;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can approve reveals' using errcode = '42501';
+  end if;
+  select * into reveal from public.identity_reveals where id = target for update;
+  if reveal.id is null or reveal.status <> 'pending' then
+    raise exception 'This request is no longer pending' using errcode = '22023';
+  end if;
+  if reveal.requested_by = auth.uid() then
+    raise exception 'Another admin must decide on your own request' using errcode = '42501';
+  end if;
+
+  update public.identity_reveals
+  set status = case when approve then 'approved' else 'rejected' end, decided_by = auth.uid(), decided_at = now()
+  where id = target returning * into reveal;
+  perform public.append_reveal_audit(reveal.status, reveal.id, reveal.message_id, null);
+  return reveal;
+end;
+$$;
+
+-- Only the requesting admin can read an approved reveal, and every read is logged.
+create or replace function public.reveal_identity(target uuid)
+returns table (message_id uuid, full_name text, student_id text) language plpgsql security definer set search_path = public as $$
+declare
+  reveal public.identity_reveals;
+begin
+  select * into reveal from public.identity_reveals where id = target;
+  if reveal.id is null or reveal.requested_by <> auth.uid() or not public.is_admin() then
+    raise exception 'You have no reveal request with that id' using errcode = '42501';
+  end if;
+  if reveal.status <> 'approved' then
+    raise exception 'This reveal has not been approved' using errcode = '42501';
+  end if;
+
+  perform public.append_reveal_audit('revealed', reveal.id, reveal.message_id, null);
+  return query
+  select reveal.message_id, p.full_name, p.student_id
+  from public.profiles p
+  where p.id = public.message_author(reveal.message_id);
+end;
+$$;
+
+-- Walks the chain and returns the id of the first entry that does not verify, or null.
+create or replace function public.verify_reveal_audit()
+returns bigint language plpgsql stable security definer set search_path = public as $$
+declare
+  entry public.reveal_audit_log;
+  expected_prev text := repeat('0', 64);
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can verify the audit log' using errcode = '42501';
+  end if;
+  for entry in select * from public.reveal_audit_log order by id loop
+    if entry.prev_hash <> expected_prev or entry.hash <> public.reveal_audit_hash(entry) then
+      return entry.id;
+    end if;
+    expected_prev := entry.hash;
+  end loop;
+  return null;
+end;
+$$;
+
+-- Full-text search over the rooms the caller can read, newest first. Only admins may
+-- search every room at once or match anonymous messages by their real sender. The latter
+-- is a reveal in bulk, so it takes the same written justification as request_reveal() and
+-- is written to the audit log. While reveals need approval, it is limited to anonymous
+-- rooms where the caller already holds an approved reveal of that sender.
+drop function if exists public.search_messages(text, uuid, uuid, timestamp with time zone, timestamp with time zone);
+create or replace function public.search_messages(
+  search text,
+  target_room uuid default null,
+  sender uuid default null,
+  since timestamp with time zone default null,
+  until timestamp with time zone default null,
+  justification text default null
+)
+returns setof public.messages language plpgsql security definer set search_path = public as $$
+declare
+  terms tsquery := websearch_to_tsquery('simple', coalesce(search, ''));
+  admin boolean := public.is_admin();
+  needs_approval boolean;
+  revealed_rooms uuid[];
+begin
+  if numnode(terms) = 0 then
+    return;
+  end if;
+  if target_room is null and not admin then
+    raise exception 'Only admins can search across rooms' using errcode = '42501';
+  end if;
+  if target_room is not null and not public.can_access_room(target_room) then
+    raise exception 'Not a member of this room' using errcode = '42501';
+  end if;
+
+  if sender is not null and admin and (target_room is null
+      or exists (select 1 from public.rooms where id = target_room and type = 'anonymous')) then
+    if char_length(trim(coalesce(justification, ''))) < 20 then
+      raise exception 'Give a justification of at least 20 characters' using errcode = '22023';
+    end if;
+    select require_reveal_approval into needs_approval from public.moderation_settings;
+    needs_approval := coalesce(needs_approval, true);
+    if needs_approval then
+      select array_agg(distinct m.room_id) into revealed_rooms
+      from public.identity_reveals r
+      join public.messages m on m.id = r.message_id
+      where r.requested_by = auth.uid() and r.status = 'approved'
+        and public.message_author(r.message_id) = sender;
+      if target_room is not null and not (target_room = any(coalesce(revealed_rooms, '{}'))) then
+        raise exception 'Searching this room by sender needs an approved reveal of that sender first' using errcode = '42501';
+      end if;
+    end if;
+    perform public.append_reveal_audit('sender_search', null, null,
+      format('Searched %s for messages by %s: %s',
+        coalesce((select name from public.rooms where id = target_room), 'all rooms'),
+        (select coalesce(full_name, student_id) from public.profiles where id = sender),
+        trim(justification)));
+  end if;
+
+  return query
+  select m.* from public.messages m
+  where m.search_vector @@ terms
+    and m.deleted_at is null
+    and (target_room is null or m.room_id = target_room)
+    and public.can_access_room(m.room_id)
+    and (sender is null or m.sender_id = sender
+         or (admin and m.sender_id is null
+             and (not coalesce(needs_approval, false) or m.room_id = any(revealed_rooms))
+             and public.message_author(m.id) = sender))
+    and (since is null or m.created_at >= since)
+    and (until is null or m.created_at < until)
+  order by m.created_at desc
+  limit 50;
+end;
+$$;
+
+alter table public.blocked_words enable row level security;
+create policy "Admins manage the word filter" on public.blocked_words for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+-- Read pointers are only written through the functions below, so nobody can mark
+-- a room read on someone else's behalf.
+alter table public.room_reads enable row level security;
+create policy "Room members see read receipts" on public.room_reads for select to authenticated
+  using (public.can_access_room(room_id));
+
+create or replace function public.mark_room_read(target_room uuid)
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if not public.can_access_room(target_room) then
+    raise exception 'Not a member of this room' using errcode = '42501';
+  end if;
+  insert into public.room_reads (room_id, profile_id, last_delivered_at, last_read_at)
+  values (target_room, auth.uid(), now(), now())
+  on conflict (room_id, profile_id)
+  do update set last_delivered_at = excluded.last_delivered_at, last_read_at = excluded.last_read_at;
+end;
+$$;
+
+create or replace function public.mark_rooms_delivered(target_rooms uuid[])
+returns void language sql security definer set search_path = public as $$
+  insert into public.room_reads (room_id, profile_id, last_delivered_at)
+  select rid, auth.uid(), now() from unnest(target_rooms) as rid
+  where public.can_access_room(rid)
+  on conflict (room_id, profile_id) do update set last_delivered_at = excluded.last_delivered_at;
+$$;
+
+drop function if exists public.unread_counts();
+-- Messages from others since the caller last read each room, and how many of them
+-- mention the caller. Rooms never opened count from when the caller joined CampusConnect.
+-- Access is checked once per room, and each room only reads its messages past the read
+-- pointer (messages_room_created_idx). Deleted messages and thread replies don't count.
+create or replace function public.unread_counts()
+returns table (room_id uuid, unread bigint, mentions bigint) language sql stable security definer set search_path = public as $$
+  select r.id, count(*), count(*) filter (where auth.uid() = any(m.mentions))
+  from public.rooms r
+  cross join (select p.created_at as joined_at from public.profiles p where p.id = auth.uid()) me
+  left join public.room_reads rr on rr.room_id = r.id and rr.profile_id = auth.uid()
+  join public.messages m on m.room_id = r.id
+    and m.created_at > coalesce(rr.last_read_at, me.joined_at)
+  left join public.message_authors ma on ma.message_id = m.id
+  where public.can_access_room(r.id)
+    and m.deleted_at is null
+    and m.thread_id is null
+    and coalesce(m.sender_id, ma.sender_id) <> auth.uid()
+  group by r.id;
+$$;
+
+-- Find or create the DM between the caller and another student.
+create or replace function public.open_dm(other_profile uuid)
+returns public.rooms language plpgsql security definer set search_path = public as $$
+declare
+  dm_name text;
+  dm public.rooms;
+begin
+  if auth.uid() is null or other_profile = auth.uid()
+     or not exists (select 1 from public.profiles where id = other_profile) then
+    raise exception 'Cannot open a DM with that student' using errcode = '22023';
+  end if;
+  select string_agg(pid::text, ':' order by pid::text collate "C") into dm_name
+  from unnest(array[auth.uid(), other_profile]) as pid;
+
+  insert into public.rooms (name, type, is_private, created_by)
+  values (dm_name, 'dm', true, auth.uid())
+  on conflict (name) where type = 'dm' do nothing
+  returning * into dm;
+
+  if dm.id is null then
+    select * into dm from public.rooms where type = 'dm' and name = dm_name;
+    -- Brings the DM back for a student who left it with leave_room()
+    insert into public.room_members (room_id, profile_id, role)
+    values (dm.id, auth.uid(), 'member')
+    on conflict (room_id, profile_id) do nothing;
+  else
+    insert into public.room_members (room_id, profile_id, role)
+    values (dm.id, auth.uid(), 'member'), (dm.id, other_profile, 'member');
+  end if;
+  return dm;
+end;
+$$;
+
+-- Student-created private group; the creator becomes its owner.
+create or replace function public.create_private_room(room_name text)
+returns public.rooms language plpgsql security definer set search_path = public as $$
+declare
+  room public.rooms;
+begin
+  if auth.uid() is null or coalesce(trim(room_name), '') = '' then
+    raise exception 'Room name is required' using errcode = '22023';
+  end if;
+  insert into public.rooms (name, type, is_private, created_by)
+  values (trim(room_name), 'group', true, auth.uid())
+  returning * into room;
+  insert into public.room_members (room_id, profile_id, role) values (room.id, auth.uid(), 'owner');
+  return room;
+end;
+$$;
+
+-- Owners rename their groups and set a topic; admins can do so for any room except DMs,
+-- whose names identify the pair.
+create or replace function public.update_room(target_room uuid, room_name text, room_topic text)
+returns public.rooms language plpgsql security definer set search_path = public as $$
+declare
+  room public.rooms;
+begin
+  select * into room from public.rooms where id = target_room;
+  if room.id is null or room.type = 'dm' or not (public.is_admin() or public.room_role(target_room) = 'owner') then
+    raise exception 'Only the room owner or an admin can change this room' using errcode = '42501';
+  end if;
+  if coalesce(trim(room_name), '') = '' then
+    raise exception 'Room name is required' using errcode = '22023';
+  end if;
+  update public.rooms set name = trim(room_name), topic = nullif(trim(room_topic), '')
+  where id = target_room
+  returning * into room;
+  return room;
+end;
+$$;
+
+-- Leaving a DM hides it until either student opens it again. An owner leaving a group
+-- hands it to the longest-standing member, and the last member out deletes it.
+create or replace function public.leave_room(target_room uuid)
+returns void language plpgsql security definer set search_path = public as $$
+declare
+  left_role text;
+begin
+  delete from public.room_members
+  where room_id = target_room and profile_id = auth.uid() and role in ('owner', 'member')
+  returning role into left_role;
+  if left_role is null then
+    raise exception 'You are not a member of this room' using errcode = '22023';
+  end if;
+  if exists (select 1 from public.rooms where id = target_room and type = 'dm') then
+    return;
+  end if;
+
+  if not exists (select 1 from public.room_members where room_id = target_room and role in ('owner', 'member')) then
+    delete from public.rooms where id = target_room;
+  elsif left_role = 'owner' then
+    update public.room_members set role = 'owner'
+    where room_id = target_room and profile_id = (
+      select profile_id from public.room_members
+      where room_id = target_room and role = 'member'
+      order by created_at limit 1
+    );
+  end if;
+end;
+$$;
+
+-- Bulk clean-up for the admin "maint" tab. Raises instead of silently deleting nothing.
+create or replace function public.purge_messages(older_than_days int)
+returns int language plpgsql security definer set search_path = public as $$
+declare
+  purged int;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can purge chats' using errcode = '42501';
+  end if;
+  delete from public.messages where created_at < now() - make_interval(days => older_than_days);
+  get diagnostics purged = row_count;
+  return purged;
+end;
+$$;
+
+-- Default rooms (previously created by the first client to load the portal)
+insert into public.rooms (name, type) values
+  ('General Campus', 'group'),
+  ('Anonymous Hall', 'anonymous');
 
 -- 9. Storage for PDFs
-insert into storage.buckets (id, name, public) 
-values ('materials', 'materials', true)
-on conflict (id) do nothing;
+-- Public bucket for uploaded notes. Limits mirror MATERIAL_MAX_BYTES / MATERIAL_TYPES in App.jsx.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('materials', 'materials', true, 52428800, array[
+  'application/pdf', 'text/plain', 'image/jpeg', 'image/png',
+  'application/msword', 'application/vnd.ms-powerpoint', 'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+])
+on conflict (id) do update
+set public = excluded.public, file_size_limit = excluded.file_size_limit, allowed_mime_types = excluded.allowed_mime_types;
 
+drop policy if exists "Public Access" on storage.objects;
+drop policy if exists "Admin Upload" on storage.objects;
+drop policy if exists "Admin Update" on storage.objects;
+drop policy if exists "Admin Delete" on storage.objects;
 create policy "Public Access" on storage.objects for select using ( bucket_id = 'materials' );
-create policy "Admin Upload" on storage.objects for insert with check ( bucket_id = 'materials' );
-create policy "Admin Update" on storage.objects for update with check ( bucket_id = 'materials' );
-create policy "Admin Delete" on storage.objects for delete using ( bucket_id = 'materials' );
+create policy "Admin Upload" on storage.objects for insert to authenticated with check ( bucket_id = 'materials' and public.is_admin() );
+create policy "Admin Update" on storage.objects for update to authenticated using ( bucket_id = 'materials' and public.is_admin() ) with check ( bucket_id = 'materials' and public.is_admin() );
+create policy "Admin Delete" on storage.objects for delete to authenticated using ( bucket_id = 'materials' and public.is_admin() );
+
+-- Uploaded notes that neither a material nor one of its earlier versions points at (left behind by
+-- failed saves or deleted subjects). Objects are removed through the Storage API, so this only lists them.
+-- Files from the last hour are skipped: saveMaterial uploads before it inserts the row.
+create or replace function public.orphaned_material_files()
+returns table (name text, size bigint, created_at timestamp with time zone)
+language plpgsql stable security definer set search_path = public as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can inspect storage' using errcode = '42501';
+  end if;
+  return query
+    select o.name, coalesce((o.metadata->>'size')::bigint, 0), o.created_at
+    from storage.objects o
+    where o.bucket_id = 'materials'
+      and o.created_at < now() - interval '1 hour'
+      and not exists (select 1 from public.materials m where m.storage_path = o.name)
+      and not exists (select 1 from public.material_versions v where v.storage_path = o.name)
+    order by o.created_at;
+end;
+$$;
+
+-- 9b. Storage for Chat Attachments
+-- Private bucket; files live under "<room_id>/" and are served through signed URLs
+-- to room members only. Limits mirror ATTACHMENT_MAX_BYTES / ATTACHMENT_TYPES in App.jsx.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('chat-attachments', 'chat-attachments', false, 10485760, array[
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+])
+on conflict (id) do update
+set public = excluded.public, file_size_limit = excluded.file_size_limit, allowed_mime_types = excluded.allowed_mime_types;
+
+drop policy if exists "Room members read attachments" on storage.objects;
+drop policy if exists "Room members upload attachments" on storage.objects;
+drop policy if exists "Admins delete attachments" on storage.objects;
+drop policy if exists "Uploaders and admins delete attachments" on storage.objects;
+create policy "Room members read attachments" on storage.objects for select to authenticated
+  using ( bucket_id = 'chat-attachments' and public.can_access_room(((storage.foldername(name))[1])::uuid) );
+create policy "Room members upload attachments" on storage.objects for insert to authenticated
+  with check ( bucket_id = 'chat-attachments' and public.can_access_room(((storage.foldername(name))[1])::uuid) );
+-- Deleting a message removes its file; students can only remove what they uploaded
+create policy "Uploaders and admins delete attachments" on storage.objects for delete to authenticated
+  using ( bucket_id = 'chat-attachments' and (owner_id = auth.uid()::text or public.is_admin()) );
 
 -- 10. Presence / Online Status
--- Simple setup for tracking online status via the profiles table
--- In a real app, this might be handled by Supabase Presence, but for this demo
--- we'll use an is_online flag that the client updates.
+-- Online and away states are tracked with Realtime Presence on the "campus-presence"
+-- channel, so a crashed or backgrounded tab drops out on its own. Clients also
+-- heartbeat last_seen_at (server clock) for the "last seen" shown once they are offline.
+create or replace function public.touch_last_seen()
+returns void language sql security definer set search_path = public as $$
+  update public.profiles set last_seen_at = now() where id = auth.uid();
+$$;